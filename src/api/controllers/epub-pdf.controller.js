@@ -0,0 +1,195 @@
+/**
+ * EPUB to PDF Controller
+ * Handles EPUB to PDF conversion API endpoints
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ConversionOptions = require('../models/conversion-options.model');
+const { getInstance: getEpubPdfService } = require('../services/epub-pdf.service');
+
+/**
+ * Start an EPUB to PDF conversion job
+ * POST /api/epub-pdf/convert
+ */
+async function startConversion(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'An EPUB file is required (multipart field "epub")'
+      });
+    }
+
+    // Options arrive as a JSON string in the multipart body
+    let rawOptions = {};
+    if (req.body.options) {
+      try {
+        rawOptions = JSON.parse(req.body.options);
+      } catch (error) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          success: false,
+          error: 'Options must be a valid JSON string'
+        });
+      }
+    }
+
+    // Validate and normalize options
+    const conversionOptions = new ConversionOptions(rawOptions);
+    const validation = conversionOptions.validate();
+
+    if (!validation.valid) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid conversion options',
+        details: validation.errors
+      });
+    }
+
+    const service = getEpubPdfService();
+    const job = service.startConversion(
+      req.file.path,
+      req.file.originalname,
+      conversionOptions.toJSON()
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: 'Conversion job created'
+    });
+  } catch (error) {
+    console.error('[EpubPdfController] Start conversion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get conversion job status
+ * GET /api/epub-pdf/status/:jobId
+ */
+async function getStatus(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    const job = getEpubPdfService().getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.toJSON()
+    });
+  } catch (error) {
+    console.error('[EpubPdfController] Get status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Download converted PDF
+ * GET /api/epub-pdf/download/:jobId
+ */
+async function downloadPdf(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    const job = getEpubPdfService().getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: `Job is ${job.status}, not ready for download`
+      });
+    }
+
+    if (!job.outputPath) {
+      return res.status(500).json({
+        success: false,
+        error: 'Output file not found'
+      });
+    }
+
+    // Name the PDF after the uploaded EPUB
+    const baseName = path.basename(job.originalName || 'book', path.extname(job.originalName || ''));
+    const filename = `${baseName.replace(/[^a-zA-Z0-9._-]/g, '_') || 'book'}.pdf`;
+
+    console.log(`[EpubPdfController] Downloading PDF for job ${jobId}: ${filename}`);
+
+    res.download(job.outputPath, filename, (err) => {
+      if (err) {
+        console.error(`[EpubPdfController] Download error for job ${jobId}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to download file'
+          });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('[EpubPdfController] Download PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete job and cleanup files
+ * DELETE /api/epub-pdf/job/:jobId
+ */
+async function deleteJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    const deleted = await getEpubPdfService().deleteJob(jobId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job deleted'
+    });
+  } catch (error) {
+    console.error('[EpubPdfController] Delete job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  startConversion,
+  getStatus,
+  downloadPdf,
+  deleteJob
+};
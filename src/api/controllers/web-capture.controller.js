@@ -7,13 +7,19 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const CaptureJob = require('../models/capture-job.model');
 const CaptureOptions = require('../models/capture-options.model');
+const ConversionOptions = require('../models/conversion-options.model');
 const BatchJob = require('../models/batch-job.model');
 const WebCaptureService = require('../services/web-capture.service');
+const EpubBuilderService = require('../services/epub-builder.service');
+const SingleFileBuilderService = require('../services/single-file-builder.service');
+const DeviceEmulation = require('../utils/device-emulation');
 const browserManager = require('../services/browser-manager.service');
+const pdfGenerator = require('../services/pdf-generator.service');
 const jobQueueService = require('../services/job-queue.service');
 const { getInstance: getBatchJobQueueService } = require('../services/batch-job-queue.service');
 const storageConfig = require('../../config/storage.config');
 const { getInstance: getTestCrawlService } = require('../services/test-crawl.service');
+const { getInstance: getAuthProfileService } = require('../services/auth-profile.service');
 
 // Initialize web capture service (lazy - browser initialized on first use)
 let webCaptureService = null;
@@ -59,8 +65,8 @@ async function startCapture(req, res) {
       });
     }
 
-    // Validate and normalize options
-    const captureOptions = new CaptureOptions(options);
+    // Validate and normalize options (merging a referenced auth profile)
+    const captureOptions = new CaptureOptions(await getAuthProfileService().resolveOptions(options));
     const validation = captureOptions.validate();
 
     if (!validation.valid) {
@@ -98,6 +104,37 @@ async function startCapture(req, res) {
     });
   } catch (error) {
     console.error('[WebCaptureController] Start capture error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * List device emulation presets
+ * GET /api/web-capture/devices
+ */
+async function listDevices(req, res) {
+  try {
+    const devices = DeviceEmulation.listDevices().map(name => {
+      const preset = DeviceEmulation.getPreset(name);
+      return { name, viewport: preset.viewport, mobile: !!preset.viewport.isMobile };
+    });
+
+    res.json({
+      success: true,
+      devices
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] List devices error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -353,7 +390,7 @@ async function getCapture(req, res) {
 
 /**
  * View capture HTML
- * GET /api/web-capture/captures/:id/view
+ * GET /api/web-capture/captures/:id/view?page=N
  */
 async function viewCapture(req, res) {
   try {
@@ -367,15 +404,478 @@ async function viewCapture(req, res) {
     }
 
     const service = await getWebCaptureService();
-    const html = await service.captureStorage.getCaptureHtml(id);
 
-    // Set headers to allow iframe embedding
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-    res.setHeader('Content-Security-Policy', "frame-ancestors 'self' http://localhost:* https://localhost:*");
-    res.send(html);
+    // Additional pages of multi-page captures are served from their own
+    // location so relative resource and page links keep working
+    if (req.query.page !== undefined) {
+      const pageIndex = parseInt(req.query.page, 10);
+      const capture = await service.captureStorage.getCapture(id);
+      const pages = service.captureStorage.getCapturePages(capture);
+
+      if (isNaN(pageIndex) || pageIndex < 0 || pageIndex >= pages.length) {
+        return res.status(404).json({
+          success: false,
+          error: `Page ${req.query.page} not found in capture`
+        });
+      }
+
+      if (pages[pageIndex].file !== 'index.html') {
+        return res.redirect(`${req.baseUrl}/captures/${encodeURIComponent(id)}/${pages[pageIndex].file}`);
+      }
+    }
+
+    const html = await service.captureStorage.getCaptureHtml(id);
+
+    // Set headers to allow iframe embedding
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    res.setHeader('Content-Security-Policy', "frame-ancestors 'self' http://localhost:* https://localhost:*");
+    res.send(html);
+  } catch (error) {
+    console.error('[WebCaptureController] View capture error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Export capture to ZIP (default), a single self-contained HTML file,
+ * or the browser MHTML snapshot taken during capture
+ * GET /api/web-capture/captures/:id/export?format=zip|html|mhtml&page=N
+ */
+async function exportCapture(req, res) {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'zip';
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Capture ID is required'
+      });
+    }
+
+    if (!['zip', 'html', 'mhtml'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported export format: ${format} (expected zip, html or mhtml)`
+      });
+    }
+
+    const service = await getWebCaptureService();
+    const capture = await service.captureStorage.getCapture(id);
+
+    // Generate export filename
+    const urlObj = new URL(capture.url);
+    const hostname = urlObj.hostname.replace(/\./g, '-');
+    const timestamp = new Date(capture.capturedAt).toISOString().split('T')[0];
+
+    if (format === 'html' || format === 'mhtml') {
+      const pages = service.captureStorage.getCapturePages(capture);
+      const pageIndex = req.query.page !== undefined ? parseInt(req.query.page, 10) : 0;
+
+      if (isNaN(pageIndex) || pageIndex < 0 || pageIndex >= pages.length) {
+        return res.status(404).json({
+          success: false,
+          error: `Page ${req.query.page} not found in capture`
+        });
+      }
+
+      const pageSuffix = pageIndex > 0 ? `-page-${pageIndex}` : '';
+
+      if (format === 'mhtml') {
+        const snapshotFile = pageIndex === 0 ? capture.mhtml : pages[pageIndex].mhtml;
+        if (!snapshotFile) {
+          return res.status(404).json({
+            success: false,
+            error: `No MHTML snapshot found for capture ${id} (capture with includeMhtml enabled)`
+          });
+        }
+
+        const mhtmlFilename = `${hostname}-${timestamp}${pageSuffix}.mhtml`;
+        console.log(`[WebCaptureController] Exporting capture ${id} to MHTML: ${mhtmlFilename}`);
+
+        res.setHeader('Content-Type', 'multipart/related');
+        return res.download(path.join(capture.path, snapshotFile), mhtmlFilename, (err) => {
+          if (err) {
+            console.error(`[WebCaptureController] MHTML export error for capture ${id}:`, err);
+            if (!res.headersSent) {
+              res.status(500).json({
+                success: false,
+                error: 'Failed to export capture'
+              });
+            }
+          }
+        });
+      }
+
+      const singleFileBuilder = new SingleFileBuilderService();
+      const html = await singleFileBuilder.build(capture.path, pages[pageIndex].file);
+      const htmlFilename = `${hostname}-${timestamp}${pageSuffix}.html`;
+
+      console.log(`[WebCaptureController] Exporting capture ${id} to single-file HTML: ${htmlFilename}`);
+
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${htmlFilename}"`);
+      return res.send(html);
+    }
+
+    const filename = `${hostname}-${timestamp}.zip`;
+
+    // Create ZIP from capture directory
+    const tempZipPath = path.join(storageConfig.tempDir, 'exports', `${id}.zip`);
+    await require('fs').promises.mkdir(path.dirname(tempZipPath), { recursive: true });
+
+    const AdmZip = require('adm-zip');
+    const zip = new AdmZip();
+    zip.addLocalFolder(capture.path);
+    zip.writeZip(tempZipPath);
+
+    console.log(`[WebCaptureController] Exporting capture ${id} to ZIP: ${filename}`);
+
+    res.download(tempZipPath, filename, async (err) => {
+      if (err) {
+        console.error(`[WebCaptureController] Export error for capture ${id}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to export capture'
+          });
+        }
+      }
+
+      // Cleanup temp ZIP
+      try {
+        await require('fs').promises.unlink(tempZipPath);
+      } catch (cleanupErr) {
+        console.warn(`[WebCaptureController] Failed to cleanup temp ZIP:`, cleanupErr.message);
+      }
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Export capture error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Helper: Origin of the address this server accepted the request on
+ * Built from the socket, so clients cannot point server-side loads elsewhere
+ */
+function localOrigin(req) {
+  const address = req.socket.localAddress.replace(/^::ffff:/, '');
+  const host = address.includes(':') ? `[${address}]` : address;
+  return `http://${host}:${req.socket.localPort}`;
+}
+
+/**
+ * Export capture as PDF
+ * GET /api/web-capture/captures/:id/pdf
+ *
+ * The stored index.html is loaded through the serveResource route so
+ * relative resource paths resolve, then printed by the shared browser.
+ * The route is reached on the server's own address (never the client's Host header)
+ */
+async function exportCapturePdf(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Capture ID is required'
+      });
+    }
+
+    const service = await getWebCaptureService();
+    const capture = await service.captureStorage.getCapture(id);
+
+    // Build PDF options from query parameters
+    const { query } = req;
+    const pdfOptions = new ConversionOptions({
+      pageSize: query.pageSize,
+      landscape: query.landscape === 'true',
+      margins: {
+        top: query.marginTop || query.margin,
+        right: query.marginRight || query.margin,
+        bottom: query.marginBottom || query.margin,
+        left: query.marginLeft || query.margin
+      },
+      printBackground: query.printBackground !== 'false',
+      headerTemplate: query.headerTemplate,
+      footerTemplate: query.footerTemplate,
+      timeout: parseInt(query.timeout) || undefined
+    });
+    const validation = pdfOptions.validate();
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid PDF options',
+        details: validation.errors
+      });
+    }
+
+    const captureUrl = `${localOrigin(req)}${req.baseUrl}/captures/${encodeURIComponent(id)}/index.html`;
+
+    console.log(`[WebCaptureController] Printing capture ${id} to PDF from ${captureUrl}`);
+
+    // Captured pages may keep polling with their original scripts,
+    // so don't wait for a fully idle network
+    const { buffer } = await pdfGenerator.renderUrl(captureUrl, {
+      ...pdfOptions.toJSON(),
+      waitUntil: ['load', 'networkidle2']
+    });
+
+    // Generate PDF filename
+    const urlObj = new URL(capture.url);
+    const hostname = urlObj.hostname.replace(/\./g, '-');
+    const timestamp = new Date(capture.capturedAt).toISOString().split('T')[0];
+    const filename = `${hostname}-${timestamp}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('[WebCaptureController] Export capture PDF error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Export capture as EPUB
+ * GET /api/web-capture/captures/:id/epub
+ */
+async function exportCaptureEpub(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Capture ID is required'
+      });
+    }
+
+    const service = await getWebCaptureService();
+    const capture = await service.captureStorage.getCapture(id);
+
+    // Generate EPUB filename
+    const urlObj = new URL(capture.url);
+    const hostname = urlObj.hostname.replace(/\./g, '-');
+    const timestamp = new Date(capture.capturedAt).toISOString().split('T')[0];
+    const filename = `${hostname}-${timestamp}.epub`;
+
+    // Build EPUB from capture directory
+    const tempEpubPath = path.join(storageConfig.tempDir, 'exports', `${id}.epub`);
+    const epubBuilder = new EpubBuilderService();
+    await epubBuilder.build([{
+      path: capture.path,
+      title: capture.title,
+      url: capture.url,
+      pages: service.captureStorage.getCapturePages(capture)
+    }], tempEpubPath, { title: capture.title });
+
+    console.log(`[WebCaptureController] Exporting capture ${id} to EPUB: ${filename}`);
+
+    res.download(tempEpubPath, filename, async (err) => {
+      if (err) {
+        console.error(`[WebCaptureController] EPUB export error for capture ${id}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to export capture'
+          });
+        }
+      }
+
+      // Cleanup temp EPUB
+      try {
+        await require('fs').promises.unlink(tempEpubPath);
+      } catch (cleanupErr) {
+        console.warn(`[WebCaptureController] Failed to cleanup temp EPUB:`, cleanupErr.message);
+      }
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Export capture EPUB error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Serve capture screenshot
+ * GET /api/web-capture/captures/:id/screenshot?type=full|viewport
+ */
+async function getCaptureScreenshot(req, res) {
+  try {
+    const { id } = req.params;
+    const type = req.query.type || 'full';
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Capture ID is required'
+      });
+    }
+
+    if (!['full', 'viewport'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported screenshot type: ${type} (expected full or viewport)`
+      });
+    }
+
+    const service = await getWebCaptureService();
+    const capture = await service.captureStorage.getCapture(id);
+
+    const screenshotFile = capture.screenshots?.[type === 'full' ? 'fullPage' : 'viewport'];
+    if (!screenshotFile) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${type} screenshot found for capture ${id}`
+      });
+    }
+
+    res.sendFile(path.join(capture.path, screenshotFile), (err) => {
+      if (err) {
+        console.error(`[WebCaptureController] Screenshot error for capture ${id}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to serve screenshot'
+          });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Get capture screenshot error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Serve capture thumbnail
+ * GET /api/web-capture/captures/:id/thumbnail
+ */
+async function getCaptureThumbnail(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Capture ID is required'
+      });
+    }
+
+    const service = await getWebCaptureService();
+    const capture = await service.captureStorage.getCapture(id);
+
+    if (!capture.thumbnail) {
+      return res.status(404).json({
+        success: false,
+        error: `No thumbnail found for capture ${id}`
+      });
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.sendFile(path.join(capture.path, capture.thumbnail), (err) => {
+      if (err) {
+        console.error(`[WebCaptureController] Thumbnail error for capture ${id}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to serve thumbnail'
+          });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Get capture thumbnail error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Generate missing thumbnails for existing captures
+ * POST /api/web-capture/captures/thumbnails/backfill
+ */
+async function backfillThumbnails(req, res) {
+  try {
+    const { force = false, limit = 50, after = null } = req.body || {};
+
+    const service = await getWebCaptureService();
+    const result = await service.backfillThumbnails({
+      force: force === true,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200),
+      after: typeof after === 'string' && after ? after : null
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    console.error('[WebCaptureController] View capture error:', error);
+    console.error('[WebCaptureController] Backfill thumbnails error:', error);
     if (error.message.includes('not found')) {
       res.status(404).json({
         success: false,
@@ -391,12 +891,13 @@ async function viewCapture(req, res) {
 }
 
 /**
- * Export capture to ZIP
- * GET /api/web-capture/captures/:id/export
+ * Download capture WARC/WACZ archive
+ * GET /api/web-capture/captures/:id/warc
+ * GET /api/web-capture/captures/:id/wacz
  */
-async function exportCapture(req, res) {
+async function downloadCaptureArchive(req, res) {
   try {
-    const { id } = req.params;
+    const { id, format } = req.params;
 
     if (!id) {
       return res.status(400).json({
@@ -408,43 +909,37 @@ async function exportCapture(req, res) {
     const service = await getWebCaptureService();
     const capture = await service.captureStorage.getCapture(id);
 
-    // Generate ZIP filename
+    const archiveFile = capture.archive?.[format];
+    if (!archiveFile) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${format.toUpperCase()} archive found for capture ${id}`
+      });
+    }
+
+    // Generate archive filename
     const urlObj = new URL(capture.url);
     const hostname = urlObj.hostname.replace(/\./g, '-');
     const timestamp = new Date(capture.capturedAt).toISOString().split('T')[0];
-    const filename = `${hostname}-${timestamp}.zip`;
-
-    // Create ZIP from capture directory
-    const tempZipPath = path.join(storageConfig.tempDir, 'exports', `${id}.zip`);
-    await require('fs').promises.mkdir(path.dirname(tempZipPath), { recursive: true });
-
-    const AdmZip = require('adm-zip');
-    const zip = new AdmZip();
-    zip.addLocalFolder(capture.path);
-    zip.writeZip(tempZipPath);
+    const filename = format === 'wacz'
+      ? `${hostname}-${timestamp}.wacz`
+      : `${hostname}-${timestamp}.warc.gz`;
 
-    console.log(`[WebCaptureController] Exporting capture ${id} to ZIP: ${filename}`);
+    console.log(`[WebCaptureController] Downloading ${format.toUpperCase()} for capture ${id}: ${filename}`);
 
-    res.download(tempZipPath, filename, async (err) => {
+    res.download(path.join(capture.path, archiveFile), filename, (err) => {
       if (err) {
-        console.error(`[WebCaptureController] Export error for capture ${id}:`, err);
+        console.error(`[WebCaptureController] ${format.toUpperCase()} download error for capture ${id}:`, err);
         if (!res.headersSent) {
           res.status(500).json({
             success: false,
-            error: 'Failed to export capture'
+            error: 'Failed to download archive'
           });
         }
       }
-
-      // Cleanup temp ZIP
-      try {
-        await require('fs').promises.unlink(tempZipPath);
-      } catch (cleanupErr) {
-        console.warn(`[WebCaptureController] Failed to cleanup temp ZIP:`, cleanupErr.message);
-      }
     });
   } catch (error) {
-    console.error('[WebCaptureController] Export capture error:', error);
+    console.error('[WebCaptureController] Download capture archive error:', error);
     if (error.message.includes('not found')) {
       res.status(404).json({
         success: false,
@@ -685,7 +1180,8 @@ async function startTestCrawl(req, res) {
 
     // Start test crawl
     const testCrawlService = getTestCrawlService();
-    const result = await testCrawlService.startTestCrawl(url, options);
+    const crawlOptions = await getAuthProfileService().resolveOptions(options);
+    const result = await testCrawlService.startTestCrawl(url, crawlOptions);
 
     res.status(202).json({
       success: true,
@@ -693,10 +1189,17 @@ async function startTestCrawl(req, res) {
     });
   } catch (error) {
     console.error('[WebCaptureController] Start test crawl error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
 }
 
@@ -822,7 +1325,15 @@ async function cancelTestCrawl(req, res) {
  */
 async function captureCurated(req, res) {
   try {
-    const { crawlId, selectedUrls, additionalUrls, excludedUrls, options } = req.body;
+    const {
+      crawlId,
+      selectedUrls = [],
+      selectedSubtrees = [],
+      additionalUrls,
+      excludedUrls = [],
+      excludedSubtrees = [],
+      options
+    } = req.body;
 
     // Validate crawl ID
     if (!crawlId) {
@@ -833,15 +1344,15 @@ async function captureCurated(req, res) {
     }
 
     // Validate that at least some URLs are selected
-    if (!selectedUrls || !Array.isArray(selectedUrls) || selectedUrls.length === 0) {
+    if (selectedUrls.length === 0 && selectedSubtrees.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'At least one URL must be selected'
+        error: 'At least one URL or subtree must be selected'
       });
     }
 
     console.log(`[WebCaptureController] Starting curated capture from crawl ${crawlId}`);
-    console.log(`[WebCaptureController] Selected URLs: ${selectedUrls.length}`);
+    console.log(`[WebCaptureController] Selected URLs: ${selectedUrls.length}, subtrees: ${selectedSubtrees.length}`);
 
     // Get test crawl to verify it exists
     const testCrawlService = getTestCrawlService();
@@ -854,29 +1365,38 @@ async function captureCurated(req, res) {
       });
     }
 
-    // Combine selected and additional URLs
-    const allUrls = [...selectedUrls];
+    // Combine selected pages, selected subtrees and additional URLs
+    const allUrls = [...selectedUrls, ...testCrawlService.getSubtreeUrls(crawlId, selectedSubtrees)];
     if (additionalUrls && Array.isArray(additionalUrls)) {
       allUrls.push(...additionalUrls);
     }
 
-    // Remove excluded URLs
-    const finalUrls = excludedUrls && Array.isArray(excludedUrls)
-      ? allUrls.filter(url => !excludedUrls.includes(url))
-      : allUrls;
+    // Remove excluded URLs and excluded subtrees (exclusion wins over selection)
+    const excluded = new Set([...excludedUrls, ...testCrawlService.getSubtreeUrls(crawlId, excludedSubtrees)]);
+    const finalUrls = allUrls.filter(url => !excluded.has(url));
 
     // Remove duplicates
     const uniqueUrls = [...new Set(finalUrls)];
 
+    if (uniqueUrls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No pages left to capture after exclusions'
+      });
+    }
+
     console.log(`[WebCaptureController] Final URL count: ${uniqueUrls.length}`);
 
+    // Merge a referenced auth profile before any job is created
+    const resolvedOptions = await getAuthProfileService().resolveOptions(options);
+
     // Create batch job for tracking
-    const batchJob = new BatchJob(uniqueUrls, options);
+    const batchJob = new BatchJob(uniqueUrls, resolvedOptions);
     const batchJobQueueService = getBatchJobQueueService();
     batchJobQueueService.addBatch(batchJob);
 
     // Create capture jobs for each URL
-    const captureOptions = new CaptureOptions(options);
+    const captureOptions = new CaptureOptions(resolvedOptions);
 
     for (const url of uniqueUrls) {
       const jobId = uuidv4();
@@ -938,13 +1458,16 @@ async function captureMulti(req, res) {
 
     console.log(`[WebCaptureController] Starting multi-page capture for ${urls.length} URLs`);
 
+    // Merge a referenced auth profile before any job is created
+    const resolvedOptions = await getAuthProfileService().resolveOptions(options);
+
     // Create batch job
-    const batchJob = new BatchJob(urls, options);
+    const batchJob = new BatchJob(urls, resolvedOptions);
     const batchJobQueueService = getBatchJobQueueService();
     batchJobQueueService.addBatch(batchJob);
 
     // Create and start individual capture jobs
-    const captureOptions = new CaptureOptions(options);
+    const captureOptions = new CaptureOptions(resolvedOptions);
 
     for (const url of urls) {
       const jobId = uuidv4();
@@ -976,10 +1499,17 @@ async function captureMulti(req, res) {
 
   } catch (error) {
     console.error('[WebCaptureController] Capture multi error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
 }
 
@@ -1148,10 +1678,254 @@ async function downloadBatchZip(req, res) {
   }
 }
 
+/**
+ * Download batch as a single EPUB
+ * GET /api/web-capture/batch/:batchId/epub
+ */
+async function downloadBatchEpub(req, res) {
+  try {
+    const { batchId } = req.params;
+
+    if (!batchId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Batch ID is required'
+      });
+    }
+
+    const batchJobQueueService = getBatchJobQueueService();
+    const batchJob = batchJobQueueService.getBatch(batchId);
+
+    if (!batchJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    if (batchJob.status !== 'completed' && batchJob.status !== 'partial') {
+      return res.status(400).json({
+        success: false,
+        error: `Batch is ${batchJob.status}, not ready for download`
+      });
+    }
+
+    // Collect completed captures in batch order
+    const service = await getWebCaptureService();
+    const captures = [];
+
+    for (const jobInfo of batchJob.jobs) {
+      if (jobInfo.status !== 'completed') continue;
+
+      const job = jobQueueService.getJob(jobInfo.jobId);
+      if (!job || !job.outputPath) continue;
+
+      try {
+        const capture = await service.captureStorage.getCapture(path.basename(job.outputPath));
+        captures.push({
+          path: capture.path,
+          title: capture.title,
+          url: capture.url,
+          pages: service.captureStorage.getCapturePages(capture)
+        });
+      } catch (error) {
+        console.error(`[WebCaptureController] Error adding job ${jobInfo.jobId} to EPUB:`, error.message);
+      }
+    }
+
+    if (captures.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No completed captures in batch'
+      });
+    }
+
+    console.log(`[WebCaptureController] Creating batch EPUB for ${batchId} with ${captures.length} captures`);
+
+    // Generate filename
+    const timestamp = new Date(batchJob.createdAt).toISOString().split('T')[0];
+    const filename = `multi-page-capture-${timestamp}-${batchId.substring(0, 8)}.epub`;
+
+    const tempEpubPath = path.join(storageConfig.tempDir, 'downloads', `${batchId}.epub`);
+    const epubBuilder = new EpubBuilderService();
+    await epubBuilder.build(captures, tempEpubPath, {
+      title: captures.length === 1 ? captures[0].title : `Web Captures ${timestamp}`
+    });
+
+    res.download(tempEpubPath, filename, async (err) => {
+      if (err) {
+        console.error(`[WebCaptureController] Download error for batch ${batchId}:`, err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to download file'
+          });
+        }
+      }
+
+      // Cleanup temporary EPUB
+      try {
+        await require('fs').promises.unlink(tempEpubPath);
+      } catch (cleanupErr) {
+        console.error(`[WebCaptureController] Failed to cleanup temp EPUB:`, cleanupErr.message);
+      }
+    });
+
+  } catch (error) {
+    console.error('[WebCaptureController] Download batch EPUB error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List authentication profiles (secrets redacted)
+ * GET /api/web-capture/profiles
+ */
+async function listProfiles(req, res) {
+  try {
+    const profiles = await getAuthProfileService().listProfiles();
+
+    res.json({
+      success: true,
+      profiles: profiles.map(profile => profile.toSummary()),
+      total: profiles.length
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] List profiles error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get an authentication profile (secrets redacted)
+ * GET /api/web-capture/profiles/:id
+ */
+async function getProfile(req, res) {
+  try {
+    const profile = await getAuthProfileService().getProfile(req.params.id);
+
+    res.json({
+      success: true,
+      profile: profile.toSummary()
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Get profile error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Create an authentication profile
+ * POST /api/web-capture/profiles
+ */
+async function createProfile(req, res) {
+  try {
+    const profile = await getAuthProfileService().createProfile(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      profile: profile.toSummary()
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Create profile error:', error);
+    if (error.details) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid profile',
+        details: error.details
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Update an authentication profile
+ * PUT /api/web-capture/profiles/:id
+ */
+async function updateProfile(req, res) {
+  try {
+    const profile = await getAuthProfileService().updateProfile(req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      profile: profile.toSummary()
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Update profile error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.details) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid profile',
+        details: error.details
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Delete an authentication profile
+ * DELETE /api/web-capture/profiles/:id
+ */
+async function deleteProfile(req, res) {
+  try {
+    await getAuthProfileService().deleteProfile(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Profile deleted'
+    });
+  } catch (error) {
+    console.error('[WebCaptureController] Delete profile error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
 module.exports = {
   // Job endpoints (legacy)
   startCapture,
   getStatus,
+  listDevices,
   downloadZip,
   deleteJob,
 
@@ -1161,6 +1935,12 @@ module.exports = {
   viewCapture,
   serveResource,
   exportCapture,
+  exportCapturePdf,
+  exportCaptureEpub,
+  downloadCaptureArchive,
+  getCaptureScreenshot,
+  getCaptureThumbnail,
+  backfillThumbnails,
   deleteCapture,
   updateCapture,
 
@@ -1174,5 +1954,13 @@ module.exports = {
   // Multi-page batch capture
   captureMulti,
   getBatchStatus,
-  downloadBatchZip
+  downloadBatchZip,
+  downloadBatchEpub,
+
+  // Authentication profiles
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
 };
@@ -4,6 +4,11 @@
  */
 
 const { URL } = require('url');
+const PreCaptureScript = require('../utils/pre-capture-script');
+const DeviceEmulation = require('../utils/device-emulation');
+const CrawlScope = require('../utils/crawl-scope');
+const UrlNormalizer = require('../utils/url-normalizer');
+const DuplicateDetector = require('../utils/duplicate-detector');
 
 /**
  * Validation Error Class
@@ -85,7 +90,7 @@ function validateCaptureOptions(options = {}) {
   }
 
   // Validate boolean flags
-  ['inlineStyles', 'includePDFs'].forEach(flag => {
+  ['inlineStyles', 'includePDFs', 'includeMhtml', 'includeScreenshot', 'networkCapture', 'includeFrames'].forEach(flag => {
     if (options[flag] !== undefined) {
       if (typeof options[flag] !== 'boolean') {
         throw new ValidationError(`${flag} must be a boolean value`);
@@ -94,6 +99,14 @@ function validateCaptureOptions(options = {}) {
     }
   });
 
+  // Validate screenshot format
+  if (options.screenshotFormat !== undefined) {
+    if (!['png', 'webp'].includes(options.screenshotFormat)) {
+      throw new ValidationError('screenshotFormat must be "png" or "webp"');
+    }
+    validated.screenshotFormat = options.screenshotFormat;
+  }
+
   // Validate multiPage options
   if (options.multiPage) {
     if (typeof options.multiPage !== 'object') {
@@ -125,12 +138,223 @@ function validateCaptureOptions(options = {}) {
       validated.multiPage.maxPages = maxPages;
     }
 
-    if (options.multiPage.sameDomainOnly !== undefined) {
-      if (typeof options.multiPage.sameDomainOnly !== 'boolean') {
-        throw new ValidationError('multiPage.sameDomainOnly must be a boolean');
+    ['sameDomainOnly', 'ignoreRobots'].forEach(flag => {
+      if (options.multiPage[flag] !== undefined) {
+        if (typeof options.multiPage[flag] !== 'boolean') {
+          throw new ValidationError(`multiPage.${flag} must be a boolean`);
+        }
+        validated.multiPage[flag] = options.multiPage[flag];
+      }
+    });
+
+    [
+      ['scope', CrawlScope],
+      ['normalization', UrlNormalizer],
+      ['duplicates', DuplicateDetector]
+    ].forEach(([field, Rules]) => {
+      if (options.multiPage[field] !== undefined) {
+        const errors = Rules.validate(options.multiPage[field]);
+        if (errors.length > 0) {
+          throw new ValidationError(errors[0]);
+        }
+        validated.multiPage[field] = options.multiPage[field];
+      }
+    });
+  }
+
+  // Validate download limits
+  if (options.downloads) {
+    if (typeof options.downloads !== 'object') {
+      throw new ValidationError('downloads must be an object');
+    }
+
+    validated.downloads = {};
+
+    [
+      ['concurrency', 1, 32],
+      ['perHost', 1, 16],
+      ['hostDelay', 0, 10000]
+    ].forEach(([field, min, max]) => {
+      if (options.downloads[field] !== undefined) {
+        const value = parseInt(options.downloads[field]);
+        if (isNaN(value) || value < min || value > max) {
+          throw new ValidationError(`downloads.${field} must be between ${min} and ${max}`);
+        }
+        validated.downloads[field] = value;
+      }
+    });
+  }
+
+  // Validate custom headers
+  if (options.headers !== undefined) {
+    if (typeof options.headers !== 'object' || options.headers === null || Array.isArray(options.headers)) {
+      throw new ValidationError('headers must be an object');
+    }
+
+    Object.entries(options.headers).forEach(([name, value]) => {
+      if (typeof value !== 'string') {
+        throw new ValidationError(`Header "${name}" must be a string`);
+      }
+    });
+    validated.headers = options.headers;
+  }
+
+  // Validate cookies
+  if (options.cookies !== undefined) {
+    if (!Array.isArray(options.cookies)) {
+      throw new ValidationError('cookies must be an array');
+    }
+
+    options.cookies.forEach((cookie, index) => {
+      if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+        throw new ValidationError(`Cookie ${index + 1} must have string name and value`);
       }
-      validated.multiPage.sameDomainOnly = options.multiPage.sameDomainOnly;
+    });
+    validated.cookies = options.cookies;
+  }
+
+  // Validate basic auth credentials
+  if (options.auth !== undefined) {
+    if (!options.auth || typeof options.auth.username !== 'string') {
+      throw new ValidationError('auth.username must be a string');
+    }
+    if (options.auth.password !== undefined && typeof options.auth.password !== 'string') {
+      throw new ValidationError('auth.password must be a string');
+    }
+    validated.auth = options.auth;
+  }
+
+  // Validate auth profile reference
+  if (options.profileId !== undefined) {
+    if (typeof options.profileId !== 'string' || options.profileId.trim().length === 0) {
+      throw new ValidationError('profileId must be a non-empty string');
+    }
+    validated.profileId = options.profileId.trim();
+  }
+
+  // Validate user agent
+  if (options.userAgent !== undefined) {
+    if (typeof options.userAgent !== 'string') {
+      throw new ValidationError('userAgent must be a string');
+    }
+    validated.userAgent = options.userAgent;
+  }
+
+  // Validate device emulation (viewport, device preset, media features)
+  if (options.viewport !== undefined && (typeof options.viewport !== 'object' || options.viewport === null)) {
+    throw new ValidationError('viewport must be an object');
+  }
+
+  if (options.reducedMotion !== undefined && typeof options.reducedMotion !== 'boolean') {
+    throw new ValidationError('reducedMotion must be a boolean value');
+  }
+
+  const emulation = {
+    device: options.device,
+    viewport: DeviceEmulation.normalizeViewport(options.viewport),
+    colorScheme: options.colorScheme
+  };
+  const emulationErrors = DeviceEmulation.validate(emulation);
+  if (emulationErrors.length > 0) {
+    throw new ValidationError(emulationErrors[0]);
+  }
+
+  ['device', 'viewport', 'colorScheme'].forEach(field => {
+    if (emulation[field]) validated[field] = emulation[field];
+  });
+  if (options.reducedMotion !== undefined) validated.reducedMotion = options.reducedMotion;
+
+  // Validate pre-capture script steps
+  if (options.preCaptureScript !== undefined) {
+    const scriptErrors = PreCaptureScript.validate(options.preCaptureScript);
+    if (scriptErrors.length > 0) {
+      throw new ValidationError(scriptErrors[0]);
     }
+    validated.preCaptureScript = options.preCaptureScript;
+  }
+
+  // Validate sitemap seeding (test crawls)
+  if (options.sitemap) {
+    if (typeof options.sitemap !== 'object') {
+      throw new ValidationError('sitemap must be an object');
+    }
+
+    validated.sitemap = {};
+
+    if (options.sitemap.enabled !== undefined) {
+      if (typeof options.sitemap.enabled !== 'boolean') {
+        throw new ValidationError('sitemap.enabled must be a boolean');
+      }
+      validated.sitemap.enabled = options.sitemap.enabled;
+    }
+
+    if (options.sitemap.urls !== undefined) {
+      validated.sitemap.urls = validateUrlArray(options.sitemap.urls, { maxUrls: 20, minUrls: 0 });
+    }
+
+    if (options.sitemap.modifiedSince !== undefined) {
+      if (typeof options.sitemap.modifiedSince !== 'string' || isNaN(Date.parse(options.sitemap.modifiedSince))) {
+        throw new ValidationError('sitemap.modifiedSince must be an ISO 8601 date');
+      }
+      validated.sitemap.modifiedSince = options.sitemap.modifiedSince;
+    }
+
+    if (options.sitemap.pathPrefixes !== undefined) {
+      if (!Array.isArray(options.sitemap.pathPrefixes) ||
+          options.sitemap.pathPrefixes.some(prefix => typeof prefix !== 'string' || !prefix.startsWith('/'))) {
+        throw new ValidationError('sitemap.pathPrefixes must be an array of paths starting with "/"');
+      }
+      validated.sitemap.pathPrefixes = options.sitemap.pathPrefixes;
+    }
+  }
+
+  // Validate media options
+  if (options.media) {
+    if (typeof options.media !== 'object') {
+      throw new ValidationError('media must be an object');
+    }
+
+    validated.media = {};
+
+    if (options.media.enabled !== undefined) {
+      if (typeof options.media.enabled !== 'boolean') {
+        throw new ValidationError('media.enabled must be a boolean');
+      }
+      validated.media.enabled = options.media.enabled;
+    }
+
+    if (options.media.mode !== undefined) {
+      if (!['full', 'poster'].includes(options.media.mode)) {
+        throw new ValidationError('media.mode must be "full" or "poster"');
+      }
+      validated.media.mode = options.media.mode;
+    }
+
+    if (options.media.maxSize !== undefined) {
+      const maxSize = parseInt(options.media.maxSize);
+      if (isNaN(maxSize) || maxSize < 1 || maxSize > 2048) {
+        throw new ValidationError('media.maxSize must be between 1 and 2048 (MB)');
+      }
+      validated.media.maxSize = maxSize;
+    }
+  }
+
+  // Validate WARC options
+  if (options.warc) {
+    if (typeof options.warc !== 'object') {
+      throw new ValidationError('warc must be an object');
+    }
+
+    validated.warc = {};
+
+    ['enabled', 'wacz'].forEach(flag => {
+      if (options.warc[flag] !== undefined) {
+        if (typeof options.warc[flag] !== 'boolean') {
+          throw new ValidationError(`warc.${flag} must be a boolean`);
+        }
+        validated.warc[flag] = options.warc[flag];
+      }
+    });
   }
 
   return validated;
@@ -360,7 +584,15 @@ function validateTestCrawl(req, res, next) {
  */
 function validateCuratedCapture(req, res, next) {
   try {
-    const { crawlId, selectedUrls, additionalUrls, excludedUrls, options } = req.body;
+    const {
+      crawlId,
+      selectedUrls,
+      selectedSubtrees,
+      additionalUrls,
+      excludedUrls,
+      excludedSubtrees,
+      options
+    } = req.body;
 
     // Validate crawl ID
     if (!crawlId || typeof crawlId !== 'string') {
@@ -383,8 +615,17 @@ function validateCuratedCapture(req, res, next) {
       req.validatedExcludedUrls = validateUrlArray(excludedUrls, { maxUrls: 100, minUrls: 0 });
     }
 
-    // Must have at least selectedUrls or additionalUrls
-    if (!selectedUrls?.length && !additionalUrls?.length) {
+    // Validate subtree roots (pages of the test crawl)
+    if (selectedSubtrees) {
+      req.validatedSelectedSubtrees = validateUrlArray(selectedSubtrees, { maxUrls: 100, minUrls: 0 });
+    }
+
+    if (excludedSubtrees) {
+      req.validatedExcludedSubtrees = validateUrlArray(excludedSubtrees, { maxUrls: 100, minUrls: 0 });
+    }
+
+    // Must have at least selectedUrls, selectedSubtrees or additionalUrls
+    if (!selectedUrls?.length && !selectedSubtrees?.length && !additionalUrls?.length) {
       throw new ValidationError('At least one URL must be selected or added');
     }
 
@@ -0,0 +1,203 @@
+/**
+ * Auth Profile Model
+ *
+ * Named set of credentials and browser settings (cookies, headers,
+ * basic auth, user agent, viewport, login steps) that captures and
+ * test crawls can reference by id instead of resending them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PreCaptureScript = require('../utils/pre-capture-script');
+const DeviceEmulation = require('../utils/device-emulation');
+
+// Placeholder returned instead of secret values
+const REDACTED = '********';
+
+class AuthProfile {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = typeof data.name === 'string' ? data.name.trim() : '';
+    this.description = data.description || '';
+
+    // Custom headers sent with navigation and resource downloads
+    this.headers = data.headers || {};
+
+    // Cookies: [{ name, value, domain, path, secure, httpOnly, sameSite, expires }]
+    this.cookies = Array.isArray(data.cookies) ? data.cookies : [];
+
+    // HTTP basic auth credentials: { username, password }
+    this.auth = data.auth?.username
+      ? { username: data.auth.username, password: data.auth.password || '' }
+      : null;
+
+    // Fixed user agent (replaces the random default pick)
+    this.userAgent = data.userAgent || null;
+
+    // Browser viewport: { width, height, deviceScaleFactor, isMobile, hasTouch }
+    this.viewport = DeviceEmulation.normalizeViewport(data.viewport);
+
+    // Login steps run before each capture
+    this.preCaptureScript = Array.isArray(data.preCaptureScript) ? data.preCaptureScript : [];
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  /**
+   * Validate profile
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Profile name is required');
+    } else if (this.name.length > 100) {
+      errors.push('Profile name must be at most 100 characters');
+    }
+
+    if (typeof this.headers !== 'object' || Array.isArray(this.headers) ||
+        Object.values(this.headers).some(value => typeof value !== 'string')) {
+      errors.push('Headers must be an object of string values');
+    }
+
+    this.cookies.forEach((cookie, index) => {
+      if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+        errors.push(`Cookie ${index + 1} must have string name and value`);
+      }
+    });
+
+    if (this.userAgent !== null && typeof this.userAgent !== 'string') {
+      errors.push('User agent must be a string');
+    }
+
+    // Placeholders left over from toSummary() have no stored value to stand for
+    const redacted = [
+      ...Object.entries(this.headers).filter(([, value]) => value === REDACTED).map(([name]) => `header ${name}`),
+      ...this.cookies.filter(cookie => cookie?.value === REDACTED).map(cookie => `cookie ${cookie.name}`),
+      ...(this.auth?.password === REDACTED ? ['auth password'] : []),
+      ...this.preCaptureScript
+        .filter(step => step?.action === 'type' && step.text === REDACTED)
+        .map(step => `type step ${step.selector}`)
+    ];
+    if (redacted.length > 0) {
+      errors.push(`Redacted values must be replaced with real values: ${redacted.join(', ')}`);
+    }
+
+    errors.push(...DeviceEmulation.validate({ viewport: this.viewport }));
+
+    errors.push(...PreCaptureScript.validate(this.preCaptureScript));
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Apply changes from a client, keeping stored secrets the client only saw redacted
+   * Header values, cookie values, the auth password and typed text equal to the
+   * placeholder of toSummary() are replaced with the stored values
+   * @returns {Object} Profile data for a new AuthProfile
+   */
+  mergeChanges(changes = {}) {
+    const merged = { ...this.toJSON(), ...changes };
+
+    if (changes.headers && typeof changes.headers === 'object') {
+      merged.headers = Object.fromEntries(Object.entries(changes.headers).map(([name, value]) => [
+        name,
+        value === REDACTED && this.headers[name] !== undefined ? this.headers[name] : value
+      ]));
+    }
+
+    if (Array.isArray(changes.cookies)) {
+      merged.cookies = changes.cookies.map(cookie => {
+        if (cookie?.value !== REDACTED) return cookie;
+
+        const stored = this.cookies.find(existing => (
+          existing.name === cookie.name &&
+          (existing.domain || null) === (cookie.domain || null) &&
+          (existing.path || null) === (cookie.path || null)
+        ));
+        return stored ? { ...cookie, value: stored.value } : cookie;
+      });
+    }
+
+    if (changes.auth?.password === REDACTED && this.auth) {
+      merged.auth = { ...changes.auth, password: this.auth.password };
+    }
+
+    if (Array.isArray(changes.preCaptureScript)) {
+      merged.preCaptureScript = changes.preCaptureScript.map((step, index) => {
+        if (step?.action !== 'type' || step.text !== REDACTED) return step;
+
+        // Same position first, then the first type step on the same selector
+        const candidates = [this.preCaptureScript[index], ...this.preCaptureScript];
+        const stored = candidates.find(existing => (
+          existing?.action === 'type' && existing.selector === step.selector
+        ));
+        return stored ? { ...step, text: stored.text } : step;
+      });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get the capture option fields this profile provides
+   */
+  toCaptureOptions() {
+    const options = {
+      headers: this.headers,
+      cookies: this.cookies,
+      preCaptureScript: this.preCaptureScript
+    };
+
+    if (this.auth) options.auth = this.auth;
+    if (this.userAgent) options.userAgent = this.userAgent;
+    if (this.viewport) options.viewport = this.viewport;
+
+    return options;
+  }
+
+  /**
+   * Get profile summary with secret values redacted (API responses)
+   */
+  toSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      headers: Object.fromEntries(Object.keys(this.headers).map(name => [name, REDACTED])),
+      cookies: this.cookies.map(({ value, ...cookie }) => ({ ...cookie, value: REDACTED })),
+      auth: this.auth ? { username: this.auth.username, password: REDACTED } : null,
+      userAgent: this.userAgent,
+      viewport: this.viewport,
+      preCaptureScript: this.preCaptureScript.map(step => (
+        step.action === 'type' ? { ...step, text: REDACTED } : step
+      )),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Get full profile data (stored encrypted, never sent to clients)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      headers: this.headers,
+      cookies: this.cookies,
+      auth: this.auth,
+      userAgent: this.userAgent,
+      viewport: this.viewport,
+      preCaptureScript: this.preCaptureScript,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = AuthProfile;
@@ -27,14 +27,21 @@ class CaptureJob {
         stylesheets: 0,
         scripts: 0,
         fonts: 0,
-        pdfs: 0
+        pdfs: 0,
+        media: 0
       },
       failed: {
         images: [],
         stylesheets: [],
         scripts: [],
         fonts: [],
-        pdfs: []
+        pdfs: [],
+        media: []
+      },
+      // Resources and pages left out on purpose (media over media.maxSize, robots.txt)
+      skipped: {
+        media: [],
+        pages: []
       }
     };
   }
@@ -4,6 +4,12 @@
  * Validates and normalizes capture configuration options
  */
 
+const PreCaptureScript = require('../utils/pre-capture-script');
+const DeviceEmulation = require('../utils/device-emulation');
+const CrawlScope = require('../utils/crawl-scope');
+const UrlNormalizer = require('../utils/url-normalizer');
+const DuplicateDetector = require('../utils/duplicate-detector');
+
 class CaptureOptions {
   constructor(options = {}) {
     // Inline styles (merge CSS into HTML)
@@ -12,6 +18,47 @@ class CaptureOptions {
     // Include PDF links (attempt to download PDFs)
     this.includePDFs = options.includePDFs || false; // Default: false
 
+    // Capture iframes into frames/frame_N.html
+    this.includeFrames = options.includeFrames !== false; // Default: true
+
+    // Embedded audio/video (<video>, <audio>, <source>, <track>) stored in media/
+    this.media = {
+      enabled: options.media?.enabled !== false, // Default: true
+
+      // 'full' stores media files; 'poster' stores poster images and tracks only
+      mode: options.media?.mode === 'poster' ? 'poster' : 'full',
+
+      // Largest media file to store (MB); bigger files keep their original URL
+      maxSize: Math.min(
+        Math.max(options.media?.maxSize || 100, 1), // Min: 1 MB
+        2048 // Max: 2 GB
+      )
+    };
+
+    // Store resources from the browser's network layer instead of downloading them again
+    this.networkCapture = options.networkCapture !== false; // Default: true
+
+    // Resource download limits
+    this.downloads = {
+      // Downloads running at once
+      concurrency: Math.min(
+        Math.max(options.downloads?.concurrency || 8, 1), // Min: 1
+        32 // Max: 32
+      ),
+
+      // Downloads running at once per host
+      perHost: Math.min(
+        Math.max(options.downloads?.perHost || 4, 1), // Min: 1
+        16 // Max: 16
+      ),
+
+      // Minimum delay between request starts to the same host (ms)
+      hostDelay: Math.min(
+        Math.max(options.downloads?.hostDelay || 0, 0), // Min: 0 (no delay)
+        10000 // Max: 10s
+      )
+    };
+
     // Page load timeout in milliseconds
     this.timeout = Math.min(
       Math.max(options.timeout || 30000, 5000), // Min: 5s
@@ -35,7 +82,19 @@ class CaptureOptions {
       ),
 
       // Only follow links on same domain
-      sameDomainOnly: options.multiPage?.sameDomainOnly !== false // Default: true
+      sameDomainOnly: options.multiPage?.sameDomainOnly !== false, // Default: true
+
+      // Crawl pages disallowed by robots.txt (sites we own)
+      ignoreRobots: options.multiPage?.ignoreRobots || false, // Default: false
+
+      // Include/exclude patterns, path prefix, subdomains, query stripping, extension blacklist
+      scope: CrawlScope.normalizeOptions(options.multiPage?.scope),
+
+      // URL normalization rules (tracking parameters, query order, index files, trailing slashes)
+      normalization: UrlNormalizer.normalizeOptions(options.multiPage?.normalization),
+
+      // Collapse redirects, canonical aliases and near-duplicate pages
+      duplicates: DuplicateDetector.normalizeOptions(options.multiPage?.duplicates)
     };
 
     // User agent (for HTTP requests)
@@ -51,14 +110,53 @@ class CaptureOptions {
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'
     ];
 
+    // Device emulation: named preset (e.g. 'iPhone 13', 'Desktop HD')
+    this.device = options.device || null;
+
+    // A device preset brings its own user agent
     this.userAgent = options.userAgent ||
+      DeviceEmulation.getPreset(this.device)?.userAgent ||
       DEFAULT_USER_AGENTS[Math.floor(Math.random() * DEFAULT_USER_AGENTS.length)];
 
-    // Custom headers
+    // Viewport: { width, height, deviceScaleFactor, isMobile, hasTouch }
+    // Set fields override the device preset (default: 1280x800 desktop)
+    this.viewport = DeviceEmulation.normalizeViewport(options.viewport);
+
+    // Media features: prefers-color-scheme ('light' | 'dark') and prefers-reduced-motion
+    this.colorScheme = options.colorScheme || null;
+    this.reducedMotion = options.reducedMotion || false;
+
+    // Custom headers (sent with page navigation and resource downloads)
     this.headers = options.headers || {};
 
+    // Cookies: [{ name, value, domain, path, secure, httpOnly, sameSite, expires }]
+    // Cookies without a domain apply to the captured URL's host only
+    this.cookies = Array.isArray(options.cookies) ? options.cookies : [];
+
+    // Steps run on a fresh page before navigation (e.g. form login)
+    this.preCaptureScript = Array.isArray(options.preCaptureScript) ? options.preCaptureScript : [];
+
+    // HTTP basic auth credentials: { username, password }
+    this.auth = options.auth?.username
+      ? { username: options.auth.username, password: options.auth.password || '' }
+      : null;
+
     // Screenshot (capture page screenshot)
     this.includeScreenshot = options.includeScreenshot || false;
+
+    // Screenshot image type ('png' or 'webp')
+    this.screenshotFormat = options.screenshotFormat === 'webp' ? 'webp' : 'png';
+
+    // MHTML snapshot (browser-native, stored next to index.html)
+    this.includeMhtml = options.includeMhtml || false;
+
+    // WARC output (ISO 28500 records alongside the capture folder)
+    this.warc = {
+      enabled: options.warc?.enabled || options.warc?.wacz || false,
+
+      // Also bundle the WARC as a WACZ package
+      wacz: options.warc?.wacz || false
+    };
   }
 
   /**
@@ -71,6 +169,21 @@ class CaptureOptions {
       errors.push('Timeout must be between 5000ms and 120000ms');
     }
 
+    if (typeof this.headers !== 'object' || Array.isArray(this.headers) ||
+        Object.values(this.headers).some(value => typeof value !== 'string')) {
+      errors.push('Headers must be an object of string values');
+    }
+
+    this.cookies.forEach((cookie, index) => {
+      if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+        errors.push(`Cookie ${index + 1} must have string name and value`);
+      }
+    });
+
+    errors.push(...DeviceEmulation.validate(this));
+
+    errors.push(...PreCaptureScript.validate(this.preCaptureScript));
+
     if (this.multiPage.enabled) {
       if (this.multiPage.depth < 1 || this.multiPage.depth > 3) {
         errors.push('Multi-page depth must be between 1 and 3');
@@ -94,10 +207,25 @@ class CaptureOptions {
     return {
       inlineStyles: this.inlineStyles,
       includePDFs: this.includePDFs,
+      networkCapture: this.networkCapture,
+      includeFrames: this.includeFrames,
+      media: this.media,
+      downloads: this.downloads,
       timeout: this.timeout,
       multiPage: this.multiPage,
       userAgent: this.userAgent,
-      includeScreenshot: this.includeScreenshot
+      device: this.device,
+      viewport: this.viewport,
+      colorScheme: this.colorScheme,
+      reducedMotion: this.reducedMotion,
+      headers: this.headers,
+      cookies: this.cookies,
+      auth: this.auth,
+      preCaptureScript: this.preCaptureScript,
+      includeScreenshot: this.includeScreenshot,
+      screenshotFormat: this.screenshotFormat,
+      includeMhtml: this.includeMhtml,
+      warc: this.warc
     };
   }
 }
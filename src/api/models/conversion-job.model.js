@@ -0,0 +1,121 @@
+/**
+ * Conversion Job Model
+ *
+ * Represents an EPUB to PDF conversion job with status tracking
+ */
+
+class ConversionJob {
+  constructor(id, sourceFile, originalName, options) {
+    this.id = id;
+    this.sourceFile = sourceFile; // Path to uploaded EPUB
+    this.originalName = originalName;
+    this.options = options;
+    this.status = 'pending'; // pending, processing, completed, failed
+    this.progress = 0; // 0-100
+    this.currentStep = 'Initializing';
+    this.startedAt = Date.now();
+    this.completedAt = null;
+    this.error = null;
+    this.outputPath = null; // Path to generated PDF file
+    this.workDir = null; // Extracted EPUB contents
+    this.book = null; // { title, creator, language }
+    this.steps = [];
+    this.stats = {
+      totalChapters: 0,
+      chaptersRendered: 0,
+      totalPages: 0,
+      bookmarks: 0,
+      failedChapters: []
+    };
+  }
+
+  /**
+   * Update job progress
+   */
+  updateProgress(step, progress) {
+    this.currentStep = step;
+    this.progress = Math.min(100, Math.max(0, progress));
+
+    // Track step completion
+    const existingStep = this.steps.find(s => s.name === step);
+    if (existingStep) {
+      existingStep.status = 'in_progress';
+    } else {
+      this.steps.push({
+        name: step,
+        status: 'in_progress',
+        startedAt: Date.now(),
+        completedAt: null
+      });
+    }
+  }
+
+  /**
+   * Complete a step
+   */
+  completeStep(step) {
+    const existingStep = this.steps.find(s => s.name === step);
+    if (existingStep) {
+      existingStep.status = 'completed';
+      existingStep.completedAt = Date.now();
+    }
+  }
+
+  /**
+   * Mark job as completed
+   */
+  complete(outputPath) {
+    this.status = 'completed';
+    this.progress = 100;
+    this.currentStep = 'Completed';
+    this.completedAt = Date.now();
+    this.outputPath = outputPath;
+
+    // Complete all steps
+    this.steps.forEach(step => {
+      if (step.status === 'in_progress') {
+        step.status = 'completed';
+        step.completedAt = Date.now();
+      }
+    });
+  }
+
+  /**
+   * Mark job as failed
+   */
+  fail(error) {
+    this.status = 'failed';
+    this.currentStep = 'Failed';
+    this.completedAt = Date.now();
+    this.error = error.message || String(error);
+
+    // Mark current step as failed
+    const currentStep = this.steps.find(s => s.status === 'in_progress');
+    if (currentStep) {
+      currentStep.status = 'failed';
+      currentStep.completedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get job summary for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      originalName: this.originalName,
+      status: this.status,
+      progress: this.progress,
+      currentStep: this.currentStep,
+      startedAt: new Date(this.startedAt).toISOString(),
+      completedAt: this.completedAt ? new Date(this.completedAt).toISOString() : null,
+      error: this.error,
+      book: this.book,
+      options: this.options,
+      steps: this.steps,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = ConversionJob;
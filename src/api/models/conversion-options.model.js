@@ -0,0 +1,99 @@
+/**
+ * Conversion Options Model
+ *
+ * Validates and normalizes PDF rendering options
+ * Shared by EPUB to PDF conversion and capture PDF export
+ */
+
+const PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+class ConversionOptions {
+  constructor(options = {}) {
+    // Paper format passed to page.pdf()
+    this.pageSize = PAGE_SIZES.includes(options.pageSize) ? options.pageSize : 'A4';
+
+    // Orientation
+    this.landscape = options.landscape === true; // Default: false
+
+    // Page margins (CSS units, e.g. '20mm', '1in')
+    // Bare numbers are treated as pixels
+    const margins = options.margins || {};
+    const margin = (value, fallback) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      return typeof value === 'number' ? `${value}px` : value;
+    };
+    this.margins = {
+      top: margin(margins.top, '20mm'),
+      right: margin(margins.right, '15mm'),
+      bottom: margin(margins.bottom, '20mm'),
+      left: margin(margins.left, '15mm')
+    };
+
+    // Print CSS backgrounds (cover images, code block shading)
+    this.printBackground = options.printBackground !== false; // Default: true
+
+    // Header/footer HTML templates (Puppeteer template classes:
+    // date, title, url, pageNumber, totalPages)
+    this.headerTemplate = typeof options.headerTemplate === 'string' ? options.headerTemplate : null;
+    this.footerTemplate = typeof options.footerTemplate === 'string' ? options.footerTemplate : null;
+
+    // Include spine items marked linear="no" (footnotes, answer keys)
+    this.includeNonLinear = options.includeNonLinear || false; // Default: false
+
+    // Per-chapter load timeout in milliseconds
+    this.timeout = Math.min(
+      Math.max(options.timeout || 30000, 5000), // Min: 5s
+      120000 // Max: 2 minutes
+    );
+
+    // Keep the original requested values for validation
+    this.requestedPageSize = options.pageSize;
+  }
+
+  /**
+   * Validate options
+   */
+  validate() {
+    const errors = [];
+
+    if (this.requestedPageSize !== undefined && !PAGE_SIZES.includes(this.requestedPageSize)) {
+      errors.push(`Page size must be one of: ${PAGE_SIZES.join(', ')}`);
+    }
+
+    const marginPattern = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+    for (const [side, value] of Object.entries(this.margins)) {
+      if (typeof value !== 'string' || !marginPattern.test(value)) {
+        errors.push(`Margin "${side}" must be a number with an optional px, in, cm or mm unit`);
+      }
+    }
+
+    if ((this.headerTemplate || '').length > 10000 || (this.footerTemplate || '').length > 10000) {
+      errors.push('Header and footer templates must be at most 10000 characters');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get options summary
+   */
+  toJSON() {
+    return {
+      pageSize: this.pageSize,
+      landscape: this.landscape,
+      margins: this.margins,
+      printBackground: this.printBackground,
+      headerTemplate: this.headerTemplate,
+      footerTemplate: this.footerTemplate,
+      includeNonLinear: this.includeNonLinear,
+      timeout: this.timeout
+    };
+  }
+}
+
+ConversionOptions.PAGE_SIZES = PAGE_SIZES;
+
+module.exports = ConversionOptions;
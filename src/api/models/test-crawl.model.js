@@ -6,6 +6,9 @@
  */
 
 const crypto = require('crypto');
+const CrawlScope = require('../utils/crawl-scope');
+const UrlNormalizer = require('../utils/url-normalizer');
+const DuplicateDetector = require('../utils/duplicate-detector');
 
 class TestCrawl {
   constructor(url, options = {}) {
@@ -20,7 +23,10 @@ class TestCrawl {
       totalPages: 0,
       totalEstimatedSize: '0 B',
       byDepth: {},
-      pages: []
+      pages: [],
+      skipped: [], // { url, depth, parentUrl, reason, detail }
+      duplicates: [], // { url, depth, parentUrl, duplicateOf, reason, distance }
+      sitemap: null // { sitemaps, pages } when seeded from sitemaps
     };
     this.error = null;
   }
@@ -35,7 +41,26 @@ class TestCrawl {
       depth: Math.min(Math.max(multiPage.depth || 1, 1), 10),
       maxPages: multiPage.maxPages || 100,
       sameDomainOnly: multiPage.sameDomainOnly !== false,
-      timeout: options.timeout || 30000
+      ignoreRobots: multiPage.ignoreRobots || false,
+      scope: CrawlScope.normalizeOptions(multiPage.scope),
+      normalization: UrlNormalizer.normalizeOptions(multiPage.normalization),
+      duplicates: DuplicateDetector.normalizeOptions(multiPage.duplicates),
+      // Seed pages from sitemaps: { urls, modifiedSince, pathPrefixes } (null: links only)
+      sitemap: options.sitemap?.enabled
+        ? {
+          urls: Array.isArray(options.sitemap.urls) ? options.sitemap.urls : [],
+          modifiedSince: options.sitemap.modifiedSince || null,
+          pathPrefixes: Array.isArray(options.sitemap.pathPrefixes) ? options.sitemap.pathPrefixes : []
+        }
+        : null,
+      timeout: options.timeout || 30000,
+      userAgent: options.userAgent || null,
+      device: options.device || null,
+      viewport: options.viewport || null,
+      headers: options.headers || {},
+      cookies: Array.isArray(options.cookies) ? options.cookies : [],
+      auth: options.auth?.username ? options.auth : null,
+      preCaptureScript: Array.isArray(options.preCaptureScript) ? options.preCaptureScript : []
     };
   }
 
@@ -53,6 +78,84 @@ class TestCrawl {
     this.discovered.byDepth[pageData.depth]++;
   }
 
+  /**
+   * Record the sitemap files read and the number of pages they listed
+   */
+  setSitemapResult(sitemaps, pages) {
+    this.discovered.sitemap = { sitemaps, pages };
+  }
+
+  /**
+   * Record a URL left out of the crawl
+   */
+  addSkipped(entry) {
+    this.discovered.skipped.push(entry);
+  }
+
+  /**
+   * Record a URL collapsed into a page already discovered
+   * reason is 'alias', 'redirect', 'canonical' or 'content'
+   */
+  addDuplicate(entry) {
+    this.discovered.duplicates.push(entry);
+
+    const owner = this.discovered.pages.find(page => page.url === entry.duplicateOf);
+    if (owner) {
+      owner.duplicates.push(entry.url);
+    }
+  }
+
+  /**
+   * Build the parent/child page tree
+   * Pages whose parent was not discovered (failed or skipped) become roots
+   * @returns {Array} Root nodes with nested children, child counts and subtree sizes
+   */
+  buildTree() {
+    const childrenByUrl = new Map(); // parent URL -> child pages
+    const urls = new Set(this.discovered.pages.map(page => page.url));
+    const roots = [];
+
+    this.discovered.pages.forEach(page => {
+      if (page.parentUrl && page.parentUrl !== page.url && urls.has(page.parentUrl)) {
+        if (!childrenByUrl.has(page.parentUrl)) childrenByUrl.set(page.parentUrl, []);
+        childrenByUrl.get(page.parentUrl).push(page);
+      } else {
+        roots.push(page);
+      }
+    });
+
+    const toNode = page => {
+      const node = page.toHierarchical((childrenByUrl.get(page.url) || []).map(toNode));
+      node.subtreeEstimatedSize = this.formatBytes(node.subtreeEstimatedSizeBytes);
+      return node;
+    };
+
+    return roots.map(toNode);
+  }
+
+  /**
+   * Get the URLs of a page and everything discovered below it
+   * @param {string} rootUrl - Page URL (or the URL it redirected to)
+   * @returns {string[]|null} null when the crawl did not discover the page
+   */
+  getSubtreeUrls(rootUrl) {
+    const root = this.discovered.pages.find(page => page.url === rootUrl || page.finalUrl === rootUrl);
+    if (!root) return null;
+
+    const urls = [root.url];
+    const seen = new Set(urls);
+
+    // Pages are discovered breadth-first, so children always follow their parent
+    this.discovered.pages.forEach(page => {
+      if (seen.has(page.parentUrl) && !seen.has(page.url)) {
+        seen.add(page.url);
+        urls.push(page.url);
+      }
+    });
+
+    return urls;
+  }
+
   /**
    * Update progress
    */
@@ -121,6 +224,7 @@ class DiscoveredPage {
     this.title = data.title || 'Untitled';
     this.description = data.description || null;
     this.depth = data.depth || 0;
+    this.parentUrl = data.parentUrl || null; // Page the link was found on (start page for sitemap seeds)
     this.estimatedSize = data.estimatedSize || '0 KB';
     this.estimatedSizeBytes = data.estimatedSizeBytes || 0;
     this.links = data.links || 0;
@@ -129,6 +233,11 @@ class DiscoveredPage {
     this.js = data.js || 0;
     this.fonts = data.fonts || 0;
     this.selected = data.selected !== false; // Default: selected
+    this.source = data.source || 'crawl'; // 'crawl' (followed link) | 'sitemap'
+    this.finalUrl = data.finalUrl || data.url; // After redirects
+    this.redirectChain = data.redirectChain || [];
+    this.canonicalUrl = data.canonicalUrl || null;
+    this.duplicates = []; // URLs collapsed into this page
     this.metadata = {
       contentType: data.metadata?.contentType || 'text/html',
       lastModified: data.metadata?.lastModified || null,
@@ -138,10 +247,17 @@ class DiscoveredPage {
 
   /**
    * Convert to hierarchical structure with children
+   * subtreePages and subtreeEstimatedSizeBytes include this page
    */
   toHierarchical(children = []) {
     return {
       ...this,
+      childCount: children.length,
+      subtreePages: children.reduce((sum, child) => sum + child.subtreePages, 1),
+      subtreeEstimatedSizeBytes: children.reduce(
+        (sum, child) => sum + child.subtreeEstimatedSizeBytes,
+        this.estimatedSizeBytes
+      ),
       children
     };
   }
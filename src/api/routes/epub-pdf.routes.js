@@ -1,11 +1,55 @@
 /**
  * EPUB to PDF API Routes
- * Placeholder for EPUB to PDF conversion functionality
+ *
+ * Endpoints for converting uploaded EPUB files to PDF
  */
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 
+// Middleware
+const { asyncHandler } = require('../middleware/error-handler');
+const storageConfig = require('../../config/storage.config');
+
+// Controller
+const epubPdfController = require('../controllers/epub-pdf.controller');
+
+// Uploaded EPUBs are written to temp storage and removed after conversion
+const upload = multer({
+  dest: path.join(storageConfig.tempDir, 'uploads'),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200 MB
+  },
+  fileFilter: (req, file, cb) => {
+    const isEpub = file.mimetype === 'application/epub+zip' ||
+      path.extname(file.originalname).toLowerCase() === '.epub';
+    if (isEpub) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
+});
+
+/**
+ * Accept a single EPUB upload, returning multer errors as JSON
+ */
+function uploadEpub(req, res, next) {
+  upload.single('epub')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? 'Only a single .epub file in field "epub" is accepted'
+          : err.message
+      });
+    }
+    next();
+  });
+}
+
 /**
  * Health check endpoint
  */
@@ -13,19 +57,54 @@ router.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'epub-pdf',
-    message: 'EPUB to PDF service (not yet implemented)',
     timestamp: new Date().toISOString()
   });
 });
 
 /**
- * Placeholder for future EPUB to PDF endpoints
+ * POST /api/epub-pdf/convert
+ * Start an EPUB to PDF conversion job
+ *
+ * Multipart body:
+ *   epub: EPUB file
+ *   options: JSON string {
+ *     pageSize: 'A3' | 'A4' | 'A5' | 'Letter' | 'Legal' | 'Tabloid',
+ *     landscape: boolean,
+ *     margins: { top, right, bottom, left },
+ *     printBackground: boolean,
+ *     headerTemplate: string,
+ *     footerTemplate: string,
+ *     includeNonLinear: boolean,
+ *     timeout: number
+ *   }
  */
-router.post('/convert', (req, res) => {
-  res.status(501).json({
-    success: false,
-    error: 'EPUB to PDF conversion not yet implemented'
-  });
-});
+router.post('/convert',
+  uploadEpub,
+  asyncHandler(epubPdfController.startConversion)
+);
+
+/**
+ * GET /api/epub-pdf/status/:jobId
+ * Get status and progress of a conversion job
+ */
+router.get('/status/:jobId',
+  asyncHandler(epubPdfController.getStatus)
+);
+
+/**
+ * GET /api/epub-pdf/download/:jobId
+ * Download the converted PDF
+ */
+router.get('/download/:jobId',
+  asyncHandler(epubPdfController.downloadPdf)
+);
+
+/**
+ * DELETE /api/epub-pdf/job/:jobId
+ * Delete a conversion job and cleanup files
+ */
+router.delete('/job/:jobId',
+  asyncHandler(epubPdfController.deleteJob)
+);
 
 module.exports = router;
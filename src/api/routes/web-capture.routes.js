@@ -29,14 +29,73 @@ const webCaptureController = require('../controllers/web-capture.controller');
  * Body: {
  *   url: string,
  *   options: {
+ *     profileId: string (auth profile; request values override profile values),
  *     inlineStyles: boolean,
  *     includePDFs: boolean,
+ *     networkCapture: boolean (default true; store resources the browser loaded
+ *       instead of downloading them again),
+ *     includeMhtml: boolean,
+ *     includeFrames: boolean (default true; store iframes as frames/frame_N.html),
+ *     includeScreenshot: boolean,
+ *     screenshotFormat: 'png' | 'webp',
+ *     userAgent: string (default: device preset UA or a desktop browser UA),
+ *     device: string (preset name, see GET /devices),
+ *     viewport: { width, height, deviceScaleFactor, isMobile, hasTouch }
+ *       (overrides the device preset; default 1280x800 desktop),
+ *     colorScheme: 'light' | 'dark',
+ *     reducedMotion: boolean,
+ *     headers: { [name]: string },
+ *     cookies: [{ name, value, domain, path, secure, httpOnly, sameSite, expires }],
+ *     auth: { username, password },
+ *     preCaptureScript: [
+ *       { action: 'goto', url },
+ *       { action: 'type', selector, text },
+ *       { action: 'click', selector, waitForNavigation: boolean },
+ *       { action: 'waitForSelector', selector, timeout },
+ *       { action: 'waitForNavigation', timeout },
+ *       { action: 'assertText', text, selector }
+ *     ],
  *     timeout: number,
+ *     downloads: {
+ *       concurrency: number (1-32, default 8),
+ *       perHost: number (1-16, default 4),
+ *       hostDelay: number (ms between requests to one host, default 0)
+ *     },
+ *     media: {
+ *       enabled: boolean (default true; <video>/<audio> files stored in media/),
+ *       mode: 'full' | 'poster' (poster: poster images and subtitle tracks only),
+ *       maxSize: number (MB, 1-2048, default 100; larger files are skipped)
+ *     },
  *     multiPage: {
  *       enabled: boolean,
  *       depth: number,
  *       maxPages: number,
- *       sameDomainOnly: boolean
+ *       sameDomainOnly: boolean,
+ *       ignoreRobots: boolean (default false; crawl pages robots.txt disallows, for sites we own),
+ *       scope: {
+ *         include: string[] (globs or 're:' regexes; globs starting with '/' match the path),
+ *         exclude: string[] (same syntax; exclude wins over include),
+ *         pathPrefix: string (stay under a path, e.g. '/docs/v2/'),
+ *         includeSubdomains: boolean (with sameDomainOnly, also follow subdomains),
+ *         stripQueryParams: string[] (parameter names to drop, e.g. ['utm_*', 'sessionid']),
+ *         excludeExtensions: string[] (file extensions never crawled; default: archives, media, documents)
+ *       },
+ *       normalization: {
+ *         stripTrackingParams: boolean (default true; utm_*, gclid, fbclid, ...),
+ *         sortQueryParams: boolean (default true; parameter order is ignored when comparing pages, URLs are fetched as linked),
+ *         removeIndexFiles: boolean (default true; /docs/index.html is /docs/),
+ *         trailingSlash: 'ignore' | 'keep' (default 'ignore'; /docs and /docs/ are one page),
+ *         lowercasePath: boolean (default false; for case-insensitive servers)
+ *       },
+ *       duplicates: {
+ *         enabled: boolean (default true; collapse redirects, canonical aliases and repeated content),
+ *         honorCanonical: boolean (default true; pages whose <link rel="canonical"> was crawled are skipped),
+ *         maxDistance: number (0-16, default 3; differing text fingerprint bits still counted as duplicate)
+ *       }
+ *     },
+ *     warc: {
+ *       enabled: boolean,
+ *       wacz: boolean
  *     }
  *   }
  * }
@@ -47,6 +106,14 @@ router.post('/capture',
   asyncHandler(webCaptureController.startCapture)
 );
 
+/**
+ * GET /api/web-capture/devices
+ * List device preset names accepted by options.device
+ */
+router.get('/devices',
+  asyncHandler(webCaptureController.listDevices)
+);
+
 /**
  * GET /api/web-capture/status/:jobId
  * Get status and progress of a capture job
@@ -105,6 +172,22 @@ router.get('/captures',
   asyncHandler(webCaptureController.listCaptures)
 );
 
+/**
+ * POST /api/web-capture/captures/thumbnails/backfill
+ * Generate thumbnails for captures that don't have one
+ *
+ * Body: {
+ *   force: boolean (regenerate existing thumbnails, default: false),
+ *   limit: number (captures per call, default: 50, max: 200),
+ *   after: string (nextCursor of the previous call; continue after that capture)
+ * }
+ * Response: { generated, failed, remaining, nextCursor } (nextCursor is null when done)
+ */
+router.post('/captures/thumbnails/backfill',
+  express.json(),
+  asyncHandler(webCaptureController.backfillThumbnails)
+);
+
 /**
  * GET /api/web-capture/captures/:id
  * Get details of a specific capture
@@ -116,6 +199,9 @@ router.get('/captures/:id',
 /**
  * GET /api/web-capture/captures/:id/view
  * View capture HTML in browser
+ *
+ * Query params:
+ *   page: zero-based page index for multi-page captures (default: 0)
  */
 router.get('/captures/:id/view',
   asyncHandler(webCaptureController.viewCapture)
@@ -123,12 +209,43 @@ router.get('/captures/:id/view',
 
 /**
  * GET /api/web-capture/captures/:id/export
- * Export capture as ZIP file
+ * Export capture as ZIP file, as a single HTML file with all
+ * resources inlined as data URIs, or as the MHTML snapshot taken
+ * during capture (requires includeMhtml)
+ *
+ * Query params:
+ *   format: 'zip' (default) | 'html' | 'mhtml'
+ *   page: zero-based page index for format=html|mhtml (default: 0)
  */
 router.get('/captures/:id/export',
   asyncHandler(webCaptureController.exportCapture)
 );
 
+/**
+ * GET /api/web-capture/captures/:id/pdf
+ * Export capture as PDF
+ *
+ * Query params:
+ *   - pageSize: 'A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid' (default: 'A4')
+ *   - landscape: 'true' | 'false' (default: 'false')
+ *   - margin: Margin for all sides, e.g. '15mm'
+ *   - marginTop, marginRight, marginBottom, marginLeft: Per-side margins
+ *   - printBackground: 'true' | 'false' (default: 'true')
+ *   - headerTemplate, footerTemplate: HTML templates (enable header/footer)
+ *   - timeout: Page load timeout in milliseconds
+ */
+router.get('/captures/:id/pdf',
+  asyncHandler(webCaptureController.exportCapturePdf)
+);
+
+/**
+ * GET /api/web-capture/captures/:id/epub
+ * Export capture as EPUB 3 (one chapter per captured page)
+ */
+router.get('/captures/:id/epub',
+  asyncHandler(webCaptureController.exportCaptureEpub)
+);
+
 /**
  * DELETE /api/web-capture/captures/:id
  * Delete a capture
@@ -168,9 +285,40 @@ router.patch('/captures/:id',
  *     multiPage: {
  *       depth: number,
  *       maxPages: number,
- *       sameDomainOnly: boolean
+ *       sameDomainOnly: boolean,
+ *       ignoreRobots: boolean (default false; crawl pages robots.txt disallows, for sites we own),
+ *       scope: {
+ *         include: string[] (globs or 're:' regexes; globs starting with '/' match the path),
+ *         exclude: string[] (same syntax; exclude wins over include),
+ *         pathPrefix: string (stay under a path, e.g. '/docs/v2/'),
+ *         includeSubdomains: boolean (with sameDomainOnly, also follow subdomains),
+ *         stripQueryParams: string[] (parameter names to drop, e.g. ['utm_*', 'sessionid']),
+ *         excludeExtensions: string[] (file extensions never crawled; default: archives, media, documents)
+ *       },
+ *       normalization: {
+ *         stripTrackingParams: boolean (default true; utm_*, gclid, fbclid, ...),
+ *         sortQueryParams: boolean (default true; parameter order is ignored when comparing pages, URLs are fetched as linked),
+ *         removeIndexFiles: boolean (default true; /docs/index.html is /docs/),
+ *         trailingSlash: 'ignore' | 'keep' (default 'ignore'; /docs and /docs/ are one page),
+ *         lowercasePath: boolean (default false; for case-insensitive servers)
+ *       },
+ *       duplicates: {
+ *         enabled: boolean (default true; collapse redirects, canonical aliases and repeated content),
+ *         honorCanonical: boolean (default true; pages whose <link rel="canonical"> was crawled are skipped),
+ *         maxDistance: number (0-16, default 3; differing text fingerprint bits still counted as duplicate)
+ *       }
  *     },
- *     timeout: number
+ *     sitemap: {
+ *       enabled: boolean (seed pages from /sitemap.xml and robots.txt Sitemap: lines),
+ *       urls: string[] (sitemap or sitemap index URLs to read instead),
+ *       modifiedSince: string (ISO date; pages with an older lastmod are left out),
+ *       pathPrefixes: string[] (only pages under these paths, e.g. ["/docs/"])
+ *     },
+ *     timeout: number,
+ *     profileId: string,
+ *     userAgent, device, viewport, colorScheme, reducedMotion,
+ *     headers, cookies, auth (see POST /capture),
+ *     preCaptureScript: [{ action, ... }] (see below)
  *   }
  * }
  */
@@ -191,6 +339,10 @@ router.get('/test-crawl/:crawlId',
 /**
  * GET /api/web-capture/test-crawl/:crawlId/pages
  * Get discovered pages in hierarchical format
+ * tree nests each page under the page its link was found on (sitemap seeds under the start page):
+ *   [{ url, parentUrl, ..., childCount, subtreePages, subtreeEstimatedSize, subtreeEstimatedSizeBytes, children }]
+ * duplicates lists URLs collapsed into a discovered page:
+ *   [{ url, depth, parentUrl, duplicateOf, reason: 'alias' | 'redirect' | 'canonical' | 'content', distance }]
  */
 router.get('/test-crawl/:crawlId/pages',
   asyncHandler(webCaptureController.getDiscoveredPages)
@@ -210,11 +362,14 @@ router.post('/test-crawl/:crawlId/cancel',
  *
  * Body: {
  *   crawlId: string,
- *   selectedUrls: string[],
+ *   selectedUrls?: string[],
+ *   selectedSubtrees?: string[] (discovered pages; each is captured with every page below it),
  *   additionalUrls?: string[],
  *   excludedUrls?: string[],
+ *   excludedSubtrees?: string[] (discovered pages left out with every page below them),
  *   options?: CaptureOptions
  * }
+ * Exclusions win over selections, so a selected section can be pruned by excluding a subtree.
  */
 router.post('/capture-curated',
   express.json(),
@@ -222,6 +377,64 @@ router.post('/capture-curated',
   asyncHandler(webCaptureController.captureCurated)
 );
 
+// ============================================
+// Authentication Profile Endpoints
+// ============================================
+
+/**
+ * GET /api/web-capture/profiles
+ * List authentication profiles (cookie, header and password values redacted)
+ */
+router.get('/profiles',
+  asyncHandler(webCaptureController.listProfiles)
+);
+
+/**
+ * POST /api/web-capture/profiles
+ * Create an authentication profile (stored encrypted on disk)
+ *
+ * Body: {
+ *   name: string,
+ *   description?: string,
+ *   headers?: { [name]: string },
+ *   cookies?: [{ name, value, domain, path, secure, httpOnly, sameSite, expires }],
+ *   auth?: { username, password },
+ *   userAgent?: string,
+ *   viewport?: { width, height, deviceScaleFactor, isMobile, hasTouch },
+ *   preCaptureScript?: [{ action, ... }] (login steps)
+ * }
+ */
+router.post('/profiles',
+  express.json(),
+  asyncHandler(webCaptureController.createProfile)
+);
+
+/**
+ * GET /api/web-capture/profiles/:id
+ * Get an authentication profile (secrets redacted)
+ */
+router.get('/profiles/:id',
+  asyncHandler(webCaptureController.getProfile)
+);
+
+/**
+ * PUT /api/web-capture/profiles/:id
+ * Update an authentication profile
+ * Body: same fields as POST; omitted fields keep their stored values
+ */
+router.put('/profiles/:id',
+  express.json(),
+  asyncHandler(webCaptureController.updateProfile)
+);
+
+/**
+ * DELETE /api/web-capture/profiles/:id
+ * Delete an authentication profile
+ */
+router.delete('/profiles/:id',
+  asyncHandler(webCaptureController.deleteProfile)
+);
+
 // ============================================
 // Multi-Page Batch Capture Endpoints
 // ============================================
@@ -257,6 +470,42 @@ router.get('/batch/:batchId/download',
   asyncHandler(webCaptureController.downloadBatchZip)
 );
 
+/**
+ * GET /api/web-capture/batch/:batchId/epub
+ * Download completed batch as a single EPUB (one chapter per page, in batch order)
+ */
+router.get('/batch/:batchId/epub',
+  asyncHandler(webCaptureController.downloadBatchEpub)
+);
+
+/**
+ * GET /api/web-capture/captures/:id/thumbnail
+ * Serve the library thumbnail of a capture (320x200 JPEG)
+ */
+router.get('/captures/:id/thumbnail',
+  asyncHandler(webCaptureController.getCaptureThumbnail)
+);
+
+/**
+ * GET /api/web-capture/captures/:id/screenshot
+ * Serve a screenshot of a capture taken with includeScreenshot
+ *
+ * Query params:
+ *   type: 'full' (default, full page) | 'viewport' (above the fold)
+ */
+router.get('/captures/:id/screenshot',
+  asyncHandler(webCaptureController.getCaptureScreenshot)
+);
+
+/**
+ * GET /api/web-capture/captures/:id/warc
+ * GET /api/web-capture/captures/:id/wacz
+ * Download the WARC/WACZ archive of a capture taken with warc.enabled
+ */
+router.get('/captures/:id/:format(warc|wacz)',
+  asyncHandler(webCaptureController.downloadCaptureArchive)
+);
+
 /**
  * GET /api/web-capture/captures/:id/*
  * Serve static resources (images, CSS, JS, etc.) from capture directory
@@ -0,0 +1,251 @@
+/**
+ * Auth Profile Service
+ *
+ * Stores authentication profiles on disk, encrypted at rest with
+ * AES-256-GCM. The key is generated on first use and kept in a local
+ * key file next to the profiles (readable by the server user only)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const AuthProfile = require('../models/auth-profile.model');
+
+const KEY_FILE = '.profile.key';
+const ALGORITHM = 'aes-256-gcm';
+
+// Profile ids are UUIDs; anything else never maps to a file
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class AuthProfileService {
+  constructor(baseDir) {
+    this.baseDir = baseDir || path.join(process.cwd(), 'profiles');
+    this.key = null;
+    this.initPromise = null; // Shared by concurrent first calls
+  }
+
+  /**
+   * Initialize storage (create directory and load or generate the key)
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadKey().catch(error => {
+        this.initPromise = null; // Retry on the next call
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Helper: Load the key file, generating it on first use
+   * The key is only used once it is on disk; when another process wrote
+   * the file first (EEXIST), that key is read instead
+   */
+  async loadKey() {
+    await fs.mkdir(this.baseDir, { recursive: true, mode: 0o700 });
+    const keyPath = path.join(this.baseDir, KEY_FILE);
+    let key;
+
+    try {
+      key = await this.readKey(keyPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      const generated = crypto.randomBytes(32);
+      try {
+        await fs.writeFile(keyPath, generated.toString('base64'), { mode: 0o600, flag: 'wx' });
+        key = generated;
+        console.log(`[AuthProfileService] Generated profile key at ${keyPath}`);
+      } catch (writeError) {
+        if (writeError.code !== 'EEXIST') throw writeError;
+        key = await this.readKey(keyPath);
+      }
+    }
+
+    if (key.length !== 32) {
+      throw new Error(`Invalid profile key in ${keyPath}`);
+    }
+
+    this.key = key;
+  }
+
+  /**
+   * Helper: Read the base64 key file
+   */
+  async readKey(keyPath) {
+    return Buffer.from((await fs.readFile(keyPath, 'utf8')).trim(), 'base64');
+  }
+
+  /**
+   * List all profiles (newest first)
+   */
+  async listProfiles() {
+    await this.initialize();
+
+    const files = (await fs.readdir(this.baseDir)).filter(file => file.endsWith('.enc'));
+    const profiles = [];
+
+    for (const file of files) {
+      try {
+        profiles.push(await this.readProfile(path.join(this.baseDir, file)));
+      } catch (error) {
+        console.error(`[AuthProfileService] Failed to read profile ${file}:`, error.message);
+      }
+    }
+
+    return profiles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get a profile by id
+   */
+  async getProfile(id) {
+    await this.initialize();
+
+    try {
+      return await this.readProfile(this.profilePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'INVALID_ID') {
+        throw new Error(`Profile ${id} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a profile
+   * @returns {Promise<AuthProfile>}
+   */
+  async createProfile(data) {
+    const profile = new AuthProfile({
+      ...data,
+      id: undefined,
+      createdAt: undefined,
+      updatedAt: undefined
+    });
+
+    await this.saveProfile(profile);
+    console.log(`[AuthProfileService] Created profile ${profile.id} (${profile.name})`);
+    return profile;
+  }
+
+  /**
+   * Update a profile
+   * Fields left out of changes keep their stored values, and so do secrets
+   * sent back as the redacted placeholder (GET, edit, PUT round trips)
+   */
+  async updateProfile(id, changes) {
+    const existing = await this.getProfile(id);
+
+    const profile = new AuthProfile({
+      ...existing.mergeChanges(changes),
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.saveProfile(profile);
+    console.log(`[AuthProfileService] Updated profile ${profile.id}`);
+    return profile;
+  }
+
+  /**
+   * Delete a profile
+   */
+  async deleteProfile(id) {
+    await this.getProfile(id);
+    await fs.unlink(this.profilePath(id));
+    console.log(`[AuthProfileService] Deleted profile ${id}`);
+  }
+
+  /**
+   * Merge a referenced profile into request options
+   * Values sent with the request take precedence over the profile
+   */
+  async resolveOptions(options = {}) {
+    if (!options?.profileId) return options;
+
+    const profile = (await this.getProfile(options.profileId)).toCaptureOptions();
+
+    return {
+      ...profile,
+      ...options,
+      headers: { ...profile.headers, ...options.headers },
+      cookies: [...profile.cookies, ...(options.cookies || [])],
+      preCaptureScript: options.preCaptureScript?.length > 0
+        ? options.preCaptureScript
+        : profile.preCaptureScript
+    };
+  }
+
+  /**
+   * Helper: Validate and write an encrypted profile
+   */
+  async saveProfile(profile) {
+    const validation = profile.validate();
+    if (!validation.valid) {
+      const error = new Error(`Invalid profile: ${validation.errors.join('; ')}`);
+      error.details = validation.errors;
+      throw error;
+    }
+
+    await this.initialize();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(profile.toJSON()), 'utf8'), cipher.final()]);
+
+    const envelope = {
+      version: 1,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    await fs.writeFile(this.profilePath(profile.id), JSON.stringify(envelope), { mode: 0o600 });
+  }
+
+  /**
+   * Helper: Read and decrypt a profile file
+   */
+  async readProfile(filePath) {
+    const envelope = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return new AuthProfile(JSON.parse(json));
+  }
+
+  /**
+   * Helper: Get the file path for a profile id
+   */
+  profilePath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      const error = new Error(`Invalid profile id: ${id}`);
+      error.code = 'INVALID_ID';
+      throw error;
+    }
+    return path.join(this.baseDir, `${id}.enc`);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getInstance() {
+  if (!instance) {
+    instance = new AuthProfileService();
+  }
+  return instance;
+}
+
+module.exports = {
+  AuthProfileService,
+  getInstance
+};
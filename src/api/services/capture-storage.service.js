@@ -56,10 +56,30 @@ class CaptureStorageService {
       await fs.mkdir(path.join(captureDir, 'css'), { recursive: true });
       await fs.mkdir(path.join(captureDir, 'js'), { recursive: true });
       await fs.mkdir(path.join(captureDir, 'fonts'), { recursive: true });
+      if ((resources.pdfs || []).length > 0) {
+        await fs.mkdir(path.join(captureDir, 'pdfs'), { recursive: true });
+      }
+      if ((resources.media || []).length > 0) {
+        await fs.mkdir(path.join(captureDir, 'media'), { recursive: true });
+      }
 
       // Save HTML file
       await fs.writeFile(path.join(captureDir, 'index.html'), html, 'utf8');
 
+      // Save browser MHTML snapshot of the main page
+      if (options.mhtml) {
+        await fs.writeFile(path.join(captureDir, 'index.mhtml'), options.mhtml, 'utf8');
+      }
+
+      // Save screenshots of the main page
+      const screenshots = await this.saveScreenshots(options.screenshots, captureDir);
+
+      // Save additional pages of multi-page captures (pages/page_N.html)
+      const pages = await this.savePages(options.pages, captureDir);
+
+      // Save captured iframes (frames/frame_N.html)
+      const frames = (await this.savePages(options.frames, captureDir)).map(({ url, file }) => ({ url, file }));
+
       // Copy resources to capture directory
       await this.copyResources(resources, captureDir);
 
@@ -73,19 +93,26 @@ class CaptureStorageService {
         title: title || this.extractTitle(html) || url,
         capturedAt: new Date().toISOString(),
         captureMode: options.multiPage?.enabled ? 'multi-page' : 'single-page',
+        pages,
+        frames,
         stats: {
-          totalPages: options.multiPage?.enabled ? (options.pages?.length || 1) : 1,
+          totalPages: options.multiPage?.enabled ? (pages.length || 1) : 1,
           totalResources: this.countResources(resources),
           totalSize,
           images: (resources.images || []).length,
           stylesheets: (resources.stylesheets || []).length,
           scripts: (resources.scripts || []).length,
-          fonts: (resources.fonts || []).length
+          fonts: (resources.fonts || []).length,
+          pdfs: (resources.pdfs || []).length,
+          media: (resources.media || []).length
         },
         tags: options.tags || [],
         notes: options.notes || '',
         collections: options.collections || [],
-        thumbnail: null, // Will be generated later
+        mhtml: options.mhtml ? 'index.mhtml' : (pages[0]?.mhtml || null),
+        screenshots,
+        thumbnail: null, // Set by setThumbnail() once rendered
+        archive: null, // WARC/WACZ files, set by setArchive()
         status: 'completed',
         error: null
       };
@@ -117,6 +144,62 @@ class CaptureStorageService {
     }
   }
 
+  /**
+   * Write page HTML (and MHTML snapshot) files and return page entries for metadata
+   * Pages without a file (legacy {url, title} entries) are kept as-is
+   */
+  async savePages(pages = [], captureDir) {
+    const entries = [];
+
+    for (const page of pages) {
+      const { html, mhtml, ...entry } = page;
+
+      if (entry.file && html !== undefined && entry.file !== 'index.html') {
+        const pagePath = path.join(captureDir, entry.file);
+        await fs.mkdir(path.dirname(pagePath), { recursive: true });
+        await fs.writeFile(pagePath, html, 'utf8');
+      }
+
+      if (entry.file && mhtml) {
+        entry.mhtml = entry.file.replace(/\.html$/, '.mhtml');
+        const snapshotPath = path.join(captureDir, entry.mhtml);
+        await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+        await fs.writeFile(snapshotPath, mhtml, 'utf8');
+      }
+
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Write screenshots to screenshots/ and return their metadata
+   * shots: { format, fullPage: Buffer, viewport: Buffer }
+   */
+  async saveScreenshots(shots, captureDir) {
+    if (!shots || (!shots.fullPage && !shots.viewport)) return null;
+
+    await fs.mkdir(path.join(captureDir, 'screenshots'), { recursive: true });
+
+    const screenshots = {
+      format: shots.format,
+      capturedAt: new Date().toISOString(),
+      fullPage: null,
+      viewport: null
+    };
+
+    for (const [key, name] of [['fullPage', 'full-page'], ['viewport', 'viewport']]) {
+      if (!shots[key]) continue;
+
+      const file = `screenshots/${name}.${shots.format}`;
+      await fs.writeFile(path.join(captureDir, file), shots[key]);
+      screenshots[key] = file;
+    }
+
+    return screenshots;
+  }
+
   /**
    * Copy downloaded resources to capture directory
    */
@@ -155,6 +238,16 @@ class CaptureStorageService {
       await copyResource(font, 'fonts');
     }
 
+    // Copy linked PDFs
+    for (const pdf of resources.pdfs || []) {
+      await copyResource(pdf, 'pdfs');
+    }
+
+    // Copy audio/video files and subtitle tracks
+    for (const media of resources.media || []) {
+      await copyResource(media, 'media');
+    }
+
     // Copy favicon
     if (resources.favicon) {
       await copyResource(resources.favicon, '.');
@@ -248,6 +341,20 @@ class CaptureStorageService {
     }
   }
 
+  /**
+   * Get the stored pages of a capture in crawl order
+   * Returns [{ file, url, title }] with files relative to the capture folder
+   */
+  getCapturePages(capture) {
+    const storedPages = (capture.pages || []).filter(page => page.file);
+
+    if (storedPages.length > 0) {
+      return storedPages;
+    }
+
+    return [{ file: 'index.html', url: capture.url, title: capture.title }];
+  }
+
   /**
    * Delete capture
    */
@@ -292,6 +399,43 @@ class CaptureStorageService {
     return capture;
   }
 
+  /**
+   * Record WARC/WACZ archive files written into a capture folder
+   * archive: { warc, wacz, responses }
+   */
+  async setArchive(id, archive) {
+    return this.updateGeneratedFiles(id, { archive });
+  }
+
+  /**
+   * Record the thumbnail image written into a capture folder
+   */
+  async setThumbnail(id, thumbnail) {
+    return this.updateGeneratedFiles(id, { thumbnail });
+  }
+
+  /**
+   * Store metadata fields for files generated after saveCapture()
+   * and refresh the capture size
+   */
+  async updateGeneratedFiles(id, fields) {
+    const capture = await this.getCapture(id);
+    const { path: captureDir, ...metadata } = capture;
+
+    Object.assign(metadata, fields);
+    metadata.stats.totalSize = await this.calculateDirectorySize(captureDir);
+
+    await fs.writeFile(
+      path.join(captureDir, 'metadata.json'),
+      JSON.stringify(metadata, null, 2),
+      'utf8'
+    );
+
+    await this.updateInIndex(id, metadata);
+
+    return metadata;
+  }
+
   /**
    * Load index file
    */
@@ -395,7 +539,9 @@ class CaptureStorageService {
       (resources.images || []).length +
       (resources.stylesheets || []).length +
       (resources.scripts || []).length +
-      (resources.fonts || []).length
+      (resources.fonts || []).length +
+      (resources.pdfs || []).length +
+      (resources.media || []).length
     );
   }
 
@@ -0,0 +1,389 @@
+/**
+ * EPUB Builder Service
+ *
+ * Packages stored captures as an EPUB 3 book for offline reading
+ * Each captured page becomes a chapter; images, stylesheets and fonts
+ * are embedded and the nav document is built from page titles
+ */
+
+const JSZip = require('jszip');
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+
+// Capture subfolders that are embedded in the book (scripts are dropped)
+const RESOURCE_FOLDERS = ['images', 'css', 'fonts'];
+
+// Elements that have no place in an e-reader chapter
+const STRIPPED_ELEMENTS = 'script, noscript, iframe, object, embed, form, template, base, meta[http-equiv]';
+
+class EpubBuilderService {
+  /**
+   * Build an EPUB from one or more stored captures
+   * captures: [{ path, title, url, pages: [{ file, url, title }] }]
+   * book: { title, creator, language }
+   */
+  async build(captures, outputPath, book = {}) {
+    const zip = new JSZip();
+
+    console.log(`[EpubBuilder] Creating EPUB from ${captures.length} capture(s)...`);
+
+    // The mimetype entry must come first and be stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', this.buildContainerXml());
+
+    const manifest = []; // { id, href, mediaType, properties }
+    const spine = []; // manifest ids in reading order
+    const navEntries = []; // { title, href, children }
+
+    // Map original page URLs to chapter hrefs for inter-chapter links
+    const chapterByUrl = new Map();
+    captures.forEach((capture, c) => {
+      capture.pages.forEach((page, p) => {
+        if (page.url) {
+          chapterByUrl.set(this.stripFragment(page.url), `c${c}/${this.chapterFilename(p)}`);
+        }
+      });
+    });
+
+    for (let c = 0; c < captures.length; c++) {
+      const capture = captures[c];
+      const folder = `c${c}`;
+
+      // Embed resources
+      const resourceFiles = await this.addResources(zip, capture.path, folder, manifest);
+
+      // Stored pages link each other by file (pages/page_N.html), map those to chapters
+      const chapterByFile = new Map(capture.pages.map((page, p) => [
+        path.posix.normalize(page.file),
+        `${folder}/${this.chapterFilename(p)}`
+      ]));
+
+      // Convert pages to XHTML chapters
+      const chapterNav = [];
+      for (let p = 0; p < capture.pages.length; p++) {
+        const page = capture.pages[p];
+        const href = `${folder}/${this.chapterFilename(p)}`;
+        const id = `${folder}-page${p}`;
+
+        let html;
+        try {
+          html = await fs.readFile(path.join(capture.path, page.file), 'utf8');
+        } catch (error) {
+          console.warn(`[EpubBuilder] Skipping missing page ${page.file} in ${capture.path}`);
+          continue;
+        }
+
+        const title = page.title || capture.title || page.url || `Chapter ${spine.length + 1}`;
+        const xhtml = this.toXhtml(html, {
+          title,
+          pageDir: path.posix.dirname(page.file),
+          resourceFiles,
+          currentHref: href,
+          chapterByFile,
+          chapterByUrl
+        });
+
+        zip.file(`OEBPS/${href}`, xhtml);
+        manifest.push({ id, href, mediaType: 'application/xhtml+xml' });
+        spine.push(id);
+        chapterNav.push({ title, href, children: [] });
+      }
+
+      if (chapterNav.length === 0) continue;
+
+      // Single-page captures get one entry; multi-page captures nest their pages
+      if (captures.length > 1 && chapterNav.length > 1) {
+        navEntries.push({
+          title: capture.title || capture.url,
+          href: chapterNav[0].href,
+          children: chapterNav
+        });
+      } else {
+        navEntries.push(...chapterNav);
+      }
+    }
+
+    if (spine.length === 0) {
+      throw new Error('No pages available to build EPUB');
+    }
+
+    const title = book.title || captures[0].title || 'Web Capture';
+
+    zip.file('OEBPS/nav.xhtml', this.buildNavDocument(title, navEntries));
+    manifest.push({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+
+    zip.file('OEBPS/content.opf', this.buildPackageDocument({
+      title,
+      creator: book.creator || null,
+      language: book.language || 'en',
+      identifier: `urn:uuid:${uuidv4()}`,
+      source: captures.length === 1 ? captures[0].url : null
+    }, manifest, spine));
+
+    // Generate EPUB and write to disk
+    const buffer = await zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 },
+      mimeType: 'application/epub+zip'
+    });
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
+
+    console.log(`[EpubBuilder] EPUB created: ${outputPath} (${spine.length} chapters, ${buffer.length} bytes)`);
+
+    return outputPath;
+  }
+
+  /**
+   * Add capture resources to the book
+   * Returns a Set of embedded paths relative to the capture folder
+   */
+  async addResources(zip, captureDir, folder, manifest) {
+    const embedded = new Set();
+
+    for (const subdir of RESOURCE_FOLDERS) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(captureDir, subdir));
+      } catch {
+        continue; // Folder doesn't exist for this capture
+      }
+
+      for (const file of files) {
+        const mediaType = mime.lookup(file);
+        if (!mediaType) continue;
+
+        try {
+          const buffer = await fs.readFile(path.join(captureDir, subdir, file));
+          const relative = `${subdir}/${file}`;
+          zip.file(`OEBPS/${folder}/${relative}`, buffer);
+          manifest.push({
+            id: `${folder}-${subdir}-${manifest.length}`,
+            href: `${folder}/${relative}`,
+            mediaType
+          });
+          embedded.add(relative);
+        } catch (error) {
+          console.warn(`[EpubBuilder] Failed to add resource ${subdir}/${file}:`, error.message);
+        }
+      }
+    }
+
+    return embedded;
+  }
+
+  /**
+   * Convert captured HTML to an EPUB XHTML content document
+   */
+  toXhtml(html, context) {
+    const { title, pageDir, resourceFiles, currentHref, chapterByFile, chapterByUrl } = context;
+    const $ = cheerio.load(html);
+
+    $(STRIPPED_ELEMENTS).remove();
+
+    // Resolve a page-relative path to one relative to the capture folder
+    const toCaptureRelative = (value) => path.posix.normalize(path.posix.join(pageDir, value));
+
+    // Chapters sit flat in the capture's book folder next to its resources,
+    // so references from pages/page_N.html (../images/...) must be re-based
+    const chapterDir = path.posix.dirname(currentHref);
+    const toChapterRelative = (value) =>
+      path.posix.relative(chapterDir, path.posix.join(chapterDir, toCaptureRelative(value)));
+
+    // Keep only images that were embedded
+    $('img').each((i, el) => {
+      const src = $(el).attr('src');
+      if (!src || this.isRemote(src) || !resourceFiles.has(toCaptureRelative(src))) {
+        $(el).remove();
+        return;
+      }
+      $(el).attr('src', toChapterRelative(src));
+      $(el).removeAttr('srcset').removeAttr('loading').removeAttr('decoding');
+    });
+    $('picture source').remove();
+
+    // Keep only embedded stylesheets
+    const headStyles = [];
+    $('link[rel="stylesheet"]').each((i, el) => {
+      const href = $(el).attr('href');
+      if (href && !this.isRemote(href) && resourceFiles.has(toCaptureRelative(href))) {
+        headStyles.push(`<link rel="stylesheet" type="text/css" href="${this.escapeXml(toChapterRelative(href))}"/>`);
+      }
+    });
+    $('style').each((i, el) => {
+      headStyles.push(`<style type="text/css">${this.escapeXml($(el).html() || '')}</style>`);
+    });
+    $('link, style').remove();
+
+    // Rewrite links between captured pages to chapter files: localized links
+    // by stored file, links still absolute (e.g. to other captures) by page URL
+    $('a[href]').each((i, el) => {
+      const href = $(el).attr('href');
+      if (href.startsWith('#')) return;
+
+      try {
+        const remote = this.isRemote(href);
+        const [target, fragment] = (remote ? new URL(href).href : href).split('#');
+        const chapterHref = remote
+          ? chapterByUrl.get(target)
+          : chapterByFile.get(toCaptureRelative(decodeURI(target)));
+        if (chapterHref) {
+          const relative = path.posix.relative(path.posix.dirname(currentHref), chapterHref);
+          $(el).attr('href', fragment ? `${relative}#${fragment}` : relative);
+        }
+      } catch {
+        // Malformed link, keep as-is
+      }
+    });
+
+    this.sanitizeAttributes($);
+
+    const lang = $('html').attr('lang') || 'en';
+    const body = $('body').length > 0 ? $.xml($('body').contents()) : $.xml($.root().contents());
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${this.escapeXml(lang)}" lang="${this.escapeXml(lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+${headStyles.join('\n')}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Remove attributes that are invalid in XHTML (event handlers,
+   * framework bindings such as @click or :class)
+   */
+  sanitizeAttributes($) {
+    const validName = /^[a-zA-Z_][-a-zA-Z0-9_.]*(:[a-zA-Z_][-a-zA-Z0-9_.]*)?$/;
+
+    $('*').each((i, el) => {
+      Object.keys(el.attribs || {}).forEach(name => {
+        const isEventHandler = name.toLowerCase().startsWith('on');
+        const isForeignPrefix = name.includes(':') && !name.startsWith('xml:');
+        if (!validName.test(name) || isEventHandler || isForeignPrefix) {
+          $(el).removeAttr(name);
+        }
+      });
+    });
+  }
+
+  /**
+   * Build META-INF/container.xml
+   */
+  buildContainerXml() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+  }
+
+  /**
+   * Build the OPF package document
+   */
+  buildPackageDocument(meta, manifest, spine) {
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    const items = manifest.map(item => {
+      const properties = item.properties ? ` properties="${item.properties}"` : '';
+      return `    <item id="${this.escapeXml(item.id)}" href="${this.escapeXml(encodeURI(item.href))}" media-type="${item.mediaType}"${properties}/>`;
+    });
+
+    const itemrefs = spine.map(id => `    <itemref idref="${this.escapeXml(id)}"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${meta.identifier}</dc:identifier>
+    <dc:title>${this.escapeXml(meta.title)}</dc:title>
+    <dc:language>${this.escapeXml(meta.language)}</dc:language>
+${meta.creator ? `    <dc:creator>${this.escapeXml(meta.creator)}</dc:creator>\n` : ''}${meta.source ? `    <dc:source>${this.escapeXml(meta.source)}</dc:source>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${items.join('\n')}
+  </manifest>
+  <spine>
+${itemrefs.join('\n')}
+  </spine>
+</package>
+`;
+  }
+
+  /**
+   * Build the EPUB 3 nav document
+   */
+  buildNavDocument(title, entries) {
+    const renderList = (items, indent) => {
+      const pad = ' '.repeat(indent);
+      const lis = items.map(item => {
+        const children = item.children.length > 0 ? `\n${renderList(item.children, indent + 4)}\n${pad}  ` : '';
+        return `${pad}  <li><a href="${this.escapeXml(encodeURI(item.href))}">${this.escapeXml(item.title)}</a>${children}</li>`;
+      });
+      return `${pad}<ol>\n${lis.join('\n')}\n${pad}</ol>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${this.escapeXml(title)}</h1>
+${renderList(entries, 4)}
+  </nav>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Helper: Chapter filename for page index
+   */
+  chapterFilename(index) {
+    return `page_${index}.xhtml`;
+  }
+
+  /**
+   * Helper: Check for absolute/remote URLs
+   */
+  isRemote(value) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value);
+  }
+
+  /**
+   * Helper: Remove URL fragment
+   */
+  stripFragment(url) {
+    return url.split('#')[0];
+  }
+
+  /**
+   * Helper: Escape text for XML
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = EpubBuilderService;
@@ -0,0 +1,320 @@
+/**
+ * EPUB Parser Service
+ *
+ * Extracts an EPUB archive and reads its OPF package document
+ * (metadata, manifest and spine) so chapters can be rendered in reading order,
+ * plus the nav/NCX table of contents used for PDF bookmarks
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const cheerio = require('cheerio');
+const xml2js = require('xml2js');
+
+class EpubParserService {
+  /**
+   * Extract EPUB and parse its package document
+   * Returns { metadata, manifest, spine, toc, opfPath, rootDir }
+   */
+  async parse(epubPath, workDir) {
+    console.log(`[EpubParser] Extracting ${epubPath} to ${workDir}`);
+
+    await fs.mkdir(workDir, { recursive: true });
+
+    let zip;
+    try {
+      zip = new AdmZip(epubPath);
+    } catch (error) {
+      throw new Error(`Invalid EPUB archive: ${error.message}`);
+    }
+    zip.extractAllTo(workDir, true);
+
+    // Locate the OPF package document via META-INF/container.xml
+    const opfRelativePath = await this.findOpfPath(workDir);
+    const opfPath = this.resolveInside(workDir, opfRelativePath);
+    const rootDir = path.dirname(opfPath);
+
+    const opf = await this.parseXmlFile(opfPath);
+    const pkg = opf.package;
+
+    if (!pkg) {
+      throw new Error('Invalid EPUB: package document has no <package> element');
+    }
+
+    const metadata = this.parseMetadata(pkg.metadata);
+    const manifest = this.parseManifest(pkg.manifest, rootDir);
+    const spine = this.parseSpine(pkg.spine, manifest);
+
+    if (spine.length === 0) {
+      throw new Error('Invalid EPUB: spine contains no readable documents');
+    }
+
+    console.log(`[EpubParser] Parsed "${metadata.title}": ${manifest.size} manifest items, ${spine.length} spine items`);
+
+    const book = {
+      metadata,
+      manifest,
+      spine,
+      opfPath,
+      rootDir,
+      tocId: pkg.spine?.$?.toc || null
+    };
+
+    book.toc = await this.parseToc(book);
+
+    return book;
+  }
+
+  /**
+   * Parse the table of contents into a tree of
+   * { title, path, fragment, children }
+   * Prefers the EPUB 3 nav document, falls back to the EPUB 2 NCX
+   */
+  async parseToc(book) {
+    const items = Array.from(book.manifest.values());
+    const navItem = items.find(item => item.properties.includes('nav'));
+    const ncxItem = (book.tocId && book.manifest.get(book.tocId)) ||
+      items.find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+    if (navItem) {
+      try {
+        const toc = await this.parseNavDocument(navItem.path);
+        if (toc.length > 0) return toc;
+      } catch (error) {
+        console.warn(`[EpubParser] Failed to parse nav document ${navItem.href}:`, error.message);
+      }
+    }
+
+    if (ncxItem) {
+      try {
+        return await this.parseNcx(ncxItem.path);
+      } catch (error) {
+        console.warn(`[EpubParser] Failed to parse NCX ${ncxItem.href}:`, error.message);
+      }
+    }
+
+    console.warn('[EpubParser] No table of contents found');
+    return [];
+  }
+
+  /**
+   * Parse EPUB 3 nav document (<nav epub:type="toc">)
+   */
+  async parseNavDocument(navPath) {
+    const html = await fs.readFile(navPath, 'utf8');
+    const $ = cheerio.load(html, { xmlMode: true });
+    const baseDir = path.dirname(navPath);
+
+    let nav = $('nav').filter((i, el) => ($(el).attr('epub:type') || '').split(/\s+/).includes('toc')).first();
+    if (nav.length === 0) {
+      nav = $('nav').first();
+    }
+
+    const walk = (ol) => {
+      const entries = [];
+
+      ol.children('li').each((i, li) => {
+        const $li = $(li);
+        const label = $li.children('a, span').first();
+        const title = label.text().replace(/\s+/g, ' ').trim();
+        const href = label.is('a') ? label.attr('href') : null;
+
+        entries.push({
+          title: title || 'Untitled',
+          ...this.resolveTocHref(baseDir, href),
+          children: walk($li.children('ol').first())
+        });
+      });
+
+      return entries;
+    };
+
+    return walk(nav.children('ol').first());
+  }
+
+  /**
+   * Parse EPUB 2 NCX navMap
+   */
+  async parseNcx(ncxPath) {
+    const ncx = await this.parseXmlFile(ncxPath);
+    const baseDir = path.dirname(ncxPath);
+
+    const walk = (navPoints) => this.asArray(navPoints).map(point => {
+      const label = this.asArray(point.navLabel)[0];
+      const text = this.asArray(label?.text)[0];
+      const title = (typeof text === 'string' ? text : text?._ || '').replace(/\s+/g, ' ').trim();
+
+      return {
+        title: title || 'Untitled',
+        ...this.resolveTocHref(baseDir, point.content?.$?.src),
+        children: walk(point.navPoint)
+      };
+    });
+
+    return walk(ncx.ncx?.navMap?.navPoint);
+  }
+
+  /**
+   * Resolve a TOC href to an absolute document path and fragment
+   */
+  resolveTocHref(baseDir, href) {
+    if (!href) {
+      return { path: null, fragment: null };
+    }
+
+    const [file, fragment] = href.split('#');
+
+    try {
+      return {
+        path: file ? this.resolveInside(baseDir, this.decodeHref(file)) : null,
+        fragment: fragment ? this.decodeHref(fragment) : null
+      };
+    } catch (error) {
+      console.warn(`[EpubParser] Ignoring TOC entry with invalid href: ${href}`);
+      return { path: null, fragment: null };
+    }
+  }
+
+  /**
+   * Read container.xml and return the OPF path relative to the archive root
+   */
+  async findOpfPath(workDir) {
+    const containerPath = path.join(workDir, 'META-INF', 'container.xml');
+
+    let container;
+    try {
+      container = await this.parseXmlFile(containerPath);
+    } catch (error) {
+      throw new Error('Invalid EPUB: META-INF/container.xml is missing or unreadable');
+    }
+
+    const rootfiles = this.asArray(container.container?.rootfiles?.rootfile);
+    const rootfile = rootfiles.find(r => r.$?.['media-type'] === 'application/oebps-package+xml') || rootfiles[0];
+
+    if (!rootfile?.$?.['full-path']) {
+      throw new Error('Invalid EPUB: container.xml does not reference a package document');
+    }
+
+    return rootfile.$['full-path'];
+  }
+
+  /**
+   * Parse Dublin Core metadata
+   */
+  parseMetadata(metadataNode) {
+    const text = (node) => {
+      const first = this.asArray(node)[0];
+      if (first === undefined) return null;
+      return (typeof first === 'string' ? first : first._ || '').trim() || null;
+    };
+
+    return {
+      title: text(metadataNode?.title) || 'Untitled',
+      creator: text(metadataNode?.creator),
+      language: text(metadataNode?.language),
+      publisher: text(metadataNode?.publisher),
+      identifier: text(metadataNode?.identifier)
+    };
+  }
+
+  /**
+   * Parse manifest into a Map of id -> item
+   */
+  parseManifest(manifestNode, rootDir) {
+    const manifest = new Map();
+
+    this.asArray(manifestNode?.item).forEach(item => {
+      const attrs = item.$ || {};
+      if (!attrs.id || !attrs.href) return;
+
+      const href = this.decodeHref(attrs.href);
+
+      manifest.set(attrs.id, {
+        id: attrs.id,
+        href,
+        mediaType: attrs['media-type'] || '',
+        properties: (attrs.properties || '').split(/\s+/).filter(Boolean),
+        path: this.resolveInside(rootDir, href)
+      });
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Parse spine into ordered list of manifest items
+   */
+  parseSpine(spineNode, manifest) {
+    const spine = [];
+
+    this.asArray(spineNode?.itemref).forEach(itemref => {
+      const attrs = itemref.$ || {};
+      const item = manifest.get(attrs.idref);
+
+      if (!item) {
+        console.warn(`[EpubParser] Spine references unknown manifest item: ${attrs.idref}`);
+        return;
+      }
+
+      if (!['application/xhtml+xml', 'text/html'].includes(item.mediaType)) {
+        console.warn(`[EpubParser] Skipping non-HTML spine item: ${item.href} (${item.mediaType})`);
+        return;
+      }
+
+      spine.push({
+        ...item,
+        linear: attrs.linear !== 'no'
+      });
+    });
+
+    return spine;
+  }
+
+  /**
+   * Parse an XML file with namespace prefixes stripped
+   */
+  async parseXmlFile(filePath) {
+    const xml = await fs.readFile(filePath, 'utf8');
+    return xml2js.parseStringPromise(xml, {
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+  }
+
+  /**
+   * Resolve a path inside the extraction directory (prevents traversal)
+   */
+  resolveInside(baseDir, relativePath) {
+    const resolved = path.resolve(baseDir, relativePath);
+    const root = path.resolve(baseDir);
+
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid EPUB: path escapes archive root: ${relativePath}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Decode percent-encoded manifest hrefs and drop fragments
+   */
+  decodeHref(href) {
+    const withoutFragment = href.split('#')[0];
+    try {
+      return decodeURIComponent(withoutFragment);
+    } catch {
+      return withoutFragment;
+    }
+  }
+
+  /**
+   * Helper: Normalize xml2js single/multiple nodes to an array
+   */
+  asArray(node) {
+    if (node === undefined || node === null) return [];
+    return Array.isArray(node) ? node : [node];
+  }
+}
+
+module.exports = EpubParserService;
@@ -0,0 +1,246 @@
+/**
+ * EPUB to PDF Service
+ *
+ * Orchestrates EPUB to PDF conversion jobs:
+ * extract and parse the EPUB, render each spine document through
+ * the shared Puppeteer browser, merge the chapters with pdf-lib and
+ * turn the book's table of contents into PDF bookmarks
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+const ConversionJob = require('../models/conversion-job.model');
+const EpubParserService = require('./epub-parser.service');
+const pdfGenerator = require('./pdf-generator.service');
+const storageConfig = require('../../config/storage.config');
+
+class EpubPdfService {
+  constructor(workDir) {
+    this.workDir = workDir || path.join(storageConfig.tempDir, 'epub-pdf');
+    this.jobs = new Map(); // jobId -> ConversionJob
+    this.epubParser = new EpubParserService();
+    this.pdfGenerator = pdfGenerator;
+  }
+
+  /**
+   * Create a conversion job and run it in the background
+   */
+  startConversion(sourceFile, originalName, options) {
+    const job = new ConversionJob(uuidv4(), sourceFile, originalName, options);
+    job.workDir = path.join(this.workDir, job.id);
+    this.jobs.set(job.id, job);
+
+    console.log(`[EpubPdfService] Starting conversion job ${job.id} for ${originalName}`);
+
+    // Run conversion in background (don't await)
+    this.executeConversion(job).catch(error => {
+      console.error(`[EpubPdfService] Job ${job.id} failed:`, error);
+      job.fail(error);
+    });
+
+    return job;
+  }
+
+  /**
+   * Execute the conversion
+   */
+  async executeConversion(job) {
+    job.status = 'processing';
+
+    // Step 1: Extract and parse EPUB
+    job.updateProgress('Parsing EPUB...', 5);
+    const book = await this.epubParser.parse(job.sourceFile, path.join(job.workDir, 'epub'));
+    job.book = book.metadata;
+
+    const chapters = book.spine.filter(item => item.linear || job.options.includeNonLinear);
+    job.stats.totalChapters = chapters.length;
+    job.completeStep('Parsing EPUB...');
+
+    // TOC fragments to locate inside each chapter, keyed by chapter path
+    const anchorsByPath = this.collectTocAnchors(book.toc);
+
+    // Step 2: Render chapters
+    const rendered = [];
+    for (let i = 0; i < chapters.length; i++) {
+      const chapter = chapters[i];
+
+      job.updateProgress(
+        `Rendering chapters (${i + 1}/${chapters.length})`,
+        10 + Math.round((i / chapters.length) * 75)
+      );
+
+      try {
+        const result = await this.pdfGenerator.renderUrl(
+          pathToFileURL(chapter.path).href,
+          {
+            ...job.options,
+            anchorIds: Array.from(anchorsByPath.get(chapter.path) || [])
+          }
+        );
+        rendered.push({ chapter, buffer: result.buffer, anchorPages: result.anchorPages });
+        job.stats.chaptersRendered++;
+      } catch (error) {
+        console.warn(`[EpubPdfService] Failed to render ${chapter.href}:`, error.message);
+        job.stats.failedChapters.push({ href: chapter.href, error: error.message });
+      }
+    }
+
+    if (rendered.length === 0) {
+      throw new Error('No chapters could be rendered');
+    }
+
+    // Step 3: Merge chapters
+    job.updateProgress('Merging chapters...', 90);
+    const merged = await this.pdfGenerator.merge(
+      rendered.map(r => r.buffer),
+      book.metadata
+    );
+    job.stats.totalPages = merged.pageCount;
+    job.completeStep('Merging chapters...');
+
+    // Step 4: Build outline now that chapter start pages are known
+    job.updateProgress('Building bookmarks...', 95);
+    const chapterPages = new Map();
+    rendered.forEach((r, i) => {
+      chapterPages.set(r.chapter.path, {
+        startPage: merged.startPages[i],
+        anchorPages: r.anchorPages || {}
+      });
+    });
+
+    const outline = this.resolveOutline(book.toc, chapterPages, merged.pageCount);
+    this.pdfGenerator.addOutline(merged.document, outline);
+    job.stats.bookmarks = this.countEntries(outline);
+    job.completeStep('Building bookmarks...');
+
+    const outputPath = path.join(job.workDir, 'output.pdf');
+    await fs.writeFile(outputPath, await this.pdfGenerator.save(merged.document));
+
+    // Extracted files are no longer needed once the PDF exists
+    await fs.rm(path.join(job.workDir, 'epub'), { recursive: true, force: true }).catch(() => {});
+    await fs.unlink(job.sourceFile).catch(() => {});
+
+    job.complete(outputPath);
+
+    console.log(`[EpubPdfService] Job ${job.id} completed: ${merged.pageCount} pages from ${rendered.length} chapters`);
+  }
+
+  /**
+   * Collect TOC fragment ids grouped by chapter path
+   */
+  collectTocAnchors(toc) {
+    const anchors = new Map();
+
+    const walk = (entries) => entries.forEach(entry => {
+      if (entry.path && entry.fragment) {
+        if (!anchors.has(entry.path)) {
+          anchors.set(entry.path, new Set());
+        }
+        anchors.get(entry.path).add(entry.fragment);
+      }
+      walk(entry.children || []);
+    });
+
+    walk(toc || []);
+    return anchors;
+  }
+
+  /**
+   * Resolve TOC entries to page indexes in the merged PDF
+   * Entries pointing at chapters that were not rendered are dropped
+   * and their children are promoted to the entry's level
+   */
+  resolveOutline(toc, chapterPages, pageCount) {
+    const resolve = (entries) => {
+      const result = [];
+
+      (entries || []).forEach(entry => {
+        const children = resolve(entry.children);
+        const chapter = entry.path ? chapterPages.get(entry.path) : null;
+
+        if (!chapter) {
+          result.push(...children);
+          return;
+        }
+
+        const offset = entry.fragment ? (chapter.anchorPages[entry.fragment] || 0) : 0;
+
+        result.push({
+          title: entry.title,
+          pageIndex: Math.min(chapter.startPage + offset, pageCount - 1),
+          children
+        });
+      });
+
+      return result;
+    };
+
+    return resolve(toc);
+  }
+
+  /**
+   * Helper: Count outline entries recursively
+   */
+  countEntries(entries) {
+    return entries.reduce((sum, entry) => sum + 1 + this.countEntries(entry.children), 0);
+  }
+
+  /**
+   * Get job by ID
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Delete job and its files
+   */
+  async deleteJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    await fs.rm(job.workDir, { recursive: true, force: true }).catch(() => {});
+    await fs.unlink(job.sourceFile).catch(() => {});
+    this.jobs.delete(jobId);
+
+    console.log(`[EpubPdfService] Deleted job ${jobId}`);
+    return true;
+  }
+
+  /**
+   * Clean up old finished jobs
+   */
+  async cleanup(maxAge = 3600000) { // Default: 1 hour
+    const now = Date.now();
+    const toDelete = [];
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.completedAt && now - job.completedAt > maxAge) {
+        toDelete.push(jobId);
+      }
+    }
+
+    for (const jobId of toDelete) {
+      await this.deleteJob(jobId);
+    }
+
+    return { cleaned: toDelete.length };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new EpubPdfService();
+    }
+    return instance;
+  },
+  EpubPdfService
+};
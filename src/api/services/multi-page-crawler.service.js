@@ -6,6 +6,17 @@
  */
 
 const ContentDetector = require('../utils/content-detector');
+const WarcWriterService = require('./warc-writer.service');
+const PageSnapshot = require('../utils/page-snapshot');
+const FrameSerializer = require('../utils/frame-serializer');
+const RequestContext = require('../utils/request-context');
+const DeviceEmulation = require('../utils/device-emulation');
+const PreCaptureScript = require('../utils/pre-capture-script');
+const RateLimiter = require('../utils/rate-limiter');
+const RobotsPolicy = require('../utils/robots-policy');
+const CrawlScope = require('../utils/crawl-scope');
+const UrlNormalizer = require('../utils/url-normalizer');
+const DuplicateDetector = require('../utils/duplicate-detector');
 
 class MultiPageCrawlerService {
   constructor(browser, resourceExtractor) {
@@ -17,22 +28,36 @@ class MultiPageCrawlerService {
   /**
    * Crawl multiple pages using BFS algorithm
    * Returns array of captured pages with resources
+   * With a networkRecorder, response bodies of every page are recorded
+   * URLs disallowed by robots.txt and collapsed duplicates are listed in job.stats.skipped.pages
    */
-  async crawl(startUrl, options, job) {
-    const { depth, maxPages, sameDomainOnly } = options.multiPage;
-    const startDomain = new URL(startUrl).hostname;
+  async crawl(startUrl, options, job, networkRecorder = null) {
+    const { depth, maxPages, sameDomainOnly, ignoreRobots } = options.multiPage;
+    const normalizer = new UrlNormalizer(options.multiPage.normalization);
+    const scope = new CrawlScope(startUrl, options.multiPage.scope, sameDomainOnly, normalizer);
+    const duplicates = new DuplicateDetector(normalizer, options.multiPage.duplicates);
 
     console.log(`[MultiPageCrawler] Starting crawl:
       - Start URL: ${startUrl}
       - Max depth: ${depth}
       - Max pages: ${maxPages}
-      - Same domain only: ${sameDomainOnly}`);
+      - Same domain only: ${sameDomainOnly}
+      - Respect robots.txt: ${!ignoreRobots}`);
 
     const pageQueue = [{ url: startUrl, depth: 0, parent: null }];
     const visited = new Set();
     const pages = [];
+    const skipped = []; // { url, depth, reason, detail }
     const active = new Set(); // Track active page captures
 
+    // Paces navigation per domain (robots.txt Crawl-delay)
+    const rateLimiter = new RateLimiter({ minDelay: 0 });
+    const robots = ignoreRobots ? null : new RobotsPolicy({
+      userAgent: options.userAgent,
+      requestContext: new RequestContext(options, startUrl),
+      rateLimiter
+    });
+
     while (pageQueue.length > 0 && pages.length < maxPages) {
       // Process up to maxConcurrent pages in parallel
       const batch = [];
@@ -44,15 +69,33 @@ class MultiPageCrawlerService {
       ) {
         const current = pageQueue.shift();
 
-        // Skip if already visited
-        if (visited.has(current.url)) continue;
+        // Skip if already visited (aliases of a URL share its key)
+        const key = normalizer.key(current.url) || current.url;
+        if (visited.has(key)) continue;
+
+        visited.add(key);
+
+        // Skip URLs that already led to a captured page (redirects, canonicals)
+        const duplicate = duplicates.check(current.url);
+        if (duplicate) {
+          this.collapseDuplicate(current, duplicate, pages, skipped);
+          continue;
+        }
+
+        if (robots) {
+          const verdict = await robots.check(current.url);
+          if (!verdict.allowed) {
+            console.log(`[MultiPageCrawler] Skipping ${current.url} (robots.txt ${verdict.rule})`);
+            skipped.push({ url: current.url, depth: current.depth, reason: 'robots', detail: verdict.rule });
+            continue;
+          }
+        }
 
-        visited.add(current.url);
         active.add(current.url);
 
         // Capture page in parallel
         batch.push(
-          this.capturePage(current, startUrl, sameDomainOnly, depth, pageQueue, options)
+          this.capturePage(current, startUrl, scope, depth, pageQueue, options, networkRecorder, rateLimiter)
         );
       }
 
@@ -66,7 +109,11 @@ class MultiPageCrawlerService {
           const pageData = result.value;
           active.delete(pageData.url);
 
-          if (pageData.success) {
+          const duplicate = pageData.success ? duplicates.register(pageData) : null;
+
+          if (duplicate) {
+            this.collapseDuplicate(pageData, duplicate, pages, skipped);
+          } else if (pageData.success) {
             pages.push(pageData);
 
             // Update job progress
@@ -87,15 +134,40 @@ class MultiPageCrawlerService {
       });
     }
 
-    console.log(`[MultiPageCrawler] Crawl complete. Captured ${pages.length} pages.`);
+    if (job) {
+      job.stats.skipped.pages = skipped;
+    }
+
+    console.log(`[MultiPageCrawler] Crawl complete. Captured ${pages.length} pages, skipped ${skipped.length}.`);
 
     return pages;
   }
 
+  /**
+   * Helper: Record a duplicate page as skipped and as an alias of the page it duplicates
+   */
+  collapseDuplicate(pageInfo, duplicate, pages, skipped) {
+    console.log(`[MultiPageCrawler] Skipping ${pageInfo.url} (${duplicate.reason} duplicate of ${duplicate.duplicateOf})`);
+
+    skipped.push({
+      url: pageInfo.url,
+      depth: pageInfo.depth,
+      reason: 'duplicate',
+      detail: duplicate.duplicateOf,
+      duplicateReason: duplicate.reason,
+      ...(duplicate.distance !== undefined && { distance: duplicate.distance })
+    });
+
+    const owner = pages.find(page => page.url === duplicate.duplicateOf);
+    if (owner) {
+      owner.aliases.push(pageInfo.url);
+    }
+  }
+
   /**
    * Capture a single page and extract links
    */
-  async capturePage(pageInfo, startUrl, sameDomainOnly, maxDepth, queue, options) {
+  async capturePage(pageInfo, startUrl, scope, maxDepth, queue, options, networkRecorder = null, rateLimiter = null) {
     const { url, depth } = pageInfo;
     let page;
 
@@ -107,16 +179,54 @@ class MultiPageCrawlerService {
         await page.setUserAgent(options.userAgent);
       }
 
+      // Emulate viewport, device preset and media features
+      await DeviceEmulation.apply(page, options);
+
+      // Custom headers, cookies and basic auth (host-only cookies follow the start URL)
+      const requestContext = new RequestContext(options, startUrl);
+      await requestContext.applyToPage(page);
+
+      // Run pre-capture script (e.g. form login) before navigating
+      if (options.preCaptureScript?.length > 0) {
+        await PreCaptureScript.run(page, options.preCaptureScript, {
+          baseUrl: startUrl,
+          timeout: options.timeout
+        });
+      }
+
+      // Record response bodies while the page loads
+      if (networkRecorder) {
+        networkRecorder.attach(page);
+      }
+
+      // Wait for the domain's crawl delay
+      if (rateLimiter) {
+        await rateLimiter.waitForDomain(url);
+      }
+
       // Navigate with timeout
       console.log(`[MultiPageCrawler] Navigating to: ${url} (depth: ${depth})`);
 
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: 'networkidle2',
         timeout: options.timeout || 30000
       });
 
+      // Redirects, canonical URL and text fingerprint for duplicate detection
+      const { finalUrl, redirectChain, canonicalUrl, fingerprint } = await DuplicateDetector.inspectPage(page, response);
+
+      // Keep the original document response for WARC output
+      const exchanges = options.warc?.enabled
+        ? await WarcWriterService.fromPageResponse(response, requestContext)
+        : [];
+
+      // Bodies must be read before extraction and before the page closes
+      if (networkRecorder) {
+        await networkRecorder.flush();
+      }
+
       // Extract resources
-      const resources = await this.resourceExtractor.extract(page, url);
+      const resources = await this.resourceExtractor.extract(page, url, requestContext, networkRecorder);
 
       // Extract page title
       const title = await page.title();
@@ -124,7 +234,7 @@ class MultiPageCrawlerService {
       // Extract links if not at max depth
       let links = [];
       if (depth < maxDepth) {
-        links = await this.extractContentLinks(page, sameDomainOnly, url, startUrl);
+        links = await this.extractContentLinks(page, scope, url);
 
         // Add links to queue
         links.forEach(link => {
@@ -134,16 +244,33 @@ class MultiPageCrawlerService {
         console.log(`[MultiPageCrawler] Found ${links.length} links at depth ${depth}`);
       }
 
-      // Get HTML content
-      const html = await page.content();
+      // Get HTML content (open shadow roots as declarative shadow DOM)
+      const html = await FrameSerializer.serialize(page.mainFrame());
+
+      // Browser-native snapshot keeps shadow DOM and CSSOM styles
+      const mhtml = options.includeMhtml ? await PageSnapshot.captureMhtml(page) : null;
+
+      // Screenshots are taken of the start page only
+      const screenshots = options.includeScreenshot && depth === 0
+        ? await PageSnapshot.captureScreenshots(page, options.screenshotFormat)
+        : null;
 
       return {
         url,
         depth,
         title,
         html,
+        mhtml,
+        screenshots,
         resources,
         links,
+        exchanges,
+        finalUrl,
+        redirectChain,
+        canonicalUrl,
+        fingerprint,
+        // URLs that lead to this page; links to them are rewritten to its file
+        aliases: [...redirectChain, finalUrl].filter(alias => alias !== url),
         success: true
       };
 
@@ -167,9 +294,10 @@ class MultiPageCrawlerService {
 
   /**
    * Extract links from content areas (exclude navigation)
+   * Links are normalized and filtered by the crawl scope
    * Ported from extension content.js
    */
-  async extractContentLinks(page, sameDomainOnly, pageUrl, startUrl) {
+  async extractContentLinks(page, scope, pageUrl) {
     try {
       // Execute link extraction in page context
       const result = await page.evaluate(
@@ -178,16 +306,11 @@ class MultiPageCrawlerService {
         ContentDetector.EXCLUDE_SELECTORS
       );
 
-      let links = result.links;
-
-      // Filter by domain if needed
-      if (sameDomainOnly) {
-        const startDomain = new URL(startUrl).hostname;
-        links = ContentDetector.filterLinksByDomain(links, startDomain);
-      }
+      // Apply domain, path prefix, pattern, extension and query parameter rules
+      let links = scope.filter(result.links);
 
       // Deduplicate links
-      links = ContentDetector.deduplicateLinks(links);
+      links = ContentDetector.deduplicateLinks(links, scope.normalizer);
 
       return links;
 
@@ -0,0 +1,254 @@
+/**
+ * PDF Generator Service
+ *
+ * Renders documents to PDF through the shared Puppeteer browser
+ * and merges the results with pdf-lib
+ */
+
+const { PDFDocument, PDFName, PDFHexString, PDFNull } = require('pdf-lib');
+const browserManager = require('./browser-manager.service');
+
+// Paper sizes in inches (matches Puppeteer's paper formats)
+const PAPER_SIZES = {
+  A3: { width: 11.7, height: 16.54 },
+  A4: { width: 8.27, height: 11.7 },
+  A5: { width: 5.83, height: 8.27 },
+  Letter: { width: 8.5, height: 11 },
+  Legal: { width: 8.5, height: 14 },
+  Tabloid: { width: 11, height: 17 }
+};
+
+// CSS pixels per unit
+const UNIT_TO_PX = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4
+};
+
+class PdfGeneratorService {
+  constructor() {
+    this.openPages = new Set(); // Pages currently rendering
+  }
+
+  /**
+   * Render a URL (http:// or file://) to PDF
+   * Returns { buffer, anchorPages } where anchorPages maps each id in
+   * options.anchorIds to its zero-based page offset within this document
+   */
+  async renderUrl(url, options = {}) {
+    const browser = await browserManager.getBrowser();
+    const page = await browser.newPage();
+    this.openPages.add(page);
+
+    try {
+      // Lay out at the printable width so anchor positions match the PDF
+      const printable = this.getPrintableSize(options);
+      await page.setViewport({
+        width: Math.max(1, Math.round(printable.width)),
+        height: Math.max(1, Math.round(printable.height))
+      });
+
+      await page.goto(url, {
+        waitUntil: options.waitUntil || ['load', 'networkidle0'],
+        timeout: options.timeout || 30000
+      });
+
+      // Make sure web fonts are ready before printing
+      await page.evaluate(() => document.fonts && document.fonts.ready).catch(() => {});
+
+      let anchorPages = {};
+      if (options.anchorIds && options.anchorIds.length > 0) {
+        await page.emulateMediaType('print');
+        anchorPages = await page.evaluate((ids, pageHeight) => {
+          const result = {};
+          ids.forEach(id => {
+            const el = document.getElementById(id) || document.getElementsByName(id)[0];
+            if (el) {
+              const top = el.getBoundingClientRect().top + window.scrollY;
+              result[id] = Math.max(0, Math.floor(top / pageHeight));
+            }
+          });
+          return result;
+        }, options.anchorIds, printable.height);
+      }
+
+      const pdf = await page.pdf(this.buildPdfOptions(options));
+
+      return {
+        buffer: Buffer.from(pdf),
+        anchorPages
+      };
+    } finally {
+      this.openPages.delete(page);
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Build page.pdf() options from normalized conversion options
+   */
+  buildPdfOptions(options = {}) {
+    const pdfOptions = {
+      format: options.pageSize || 'A4',
+      landscape: options.landscape || false,
+      printBackground: options.printBackground !== false,
+      margin: options.margins || {},
+      preferCSSPageSize: false
+    };
+
+    // Header/footer are only printed when at least one template is given
+    if (options.headerTemplate || options.footerTemplate) {
+      pdfOptions.displayHeaderFooter = true;
+      pdfOptions.headerTemplate = options.headerTemplate || '<span></span>';
+      pdfOptions.footerTemplate = options.footerTemplate || '<span></span>';
+    }
+
+    return pdfOptions;
+  }
+
+  /**
+   * Get the printable area (page minus margins) in CSS pixels
+   */
+  getPrintableSize(options = {}) {
+    const paper = PAPER_SIZES[options.pageSize] || PAPER_SIZES.A4;
+    const margins = options.margins || {};
+
+    let width = paper.width * 96;
+    let height = paper.height * 96;
+    if (options.landscape) {
+      [width, height] = [height, width];
+    }
+
+    return {
+      width: width - this.toPixels(margins.left) - this.toPixels(margins.right),
+      height: height - this.toPixels(margins.top) - this.toPixels(margins.bottom)
+    };
+  }
+
+  /**
+   * Convert a CSS length ('20mm', '1in', '10') to pixels
+   */
+  toPixels(value) {
+    if (value === undefined || value === null) return 0;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/);
+    if (!match) return 0;
+
+    return parseFloat(match[1]) * UNIT_TO_PX[match[2] || 'px'];
+  }
+
+  /**
+   * Merge PDF buffers into a single document
+   * Returns { document, pageCount, startPages } where startPages[i] is the
+   * zero-based page index at which input i begins
+   */
+  async merge(buffers, metadata = {}) {
+    const merged = await PDFDocument.create();
+    const startPages = [];
+
+    for (const buffer of buffers) {
+      startPages.push(merged.getPageCount());
+
+      const source = await PDFDocument.load(buffer);
+      const pages = await merged.copyPages(source, source.getPageIndices());
+      pages.forEach(page => merged.addPage(page));
+    }
+
+    if (metadata.title) merged.setTitle(metadata.title);
+    if (metadata.creator) merged.setAuthor(metadata.creator);
+    if (metadata.language) merged.setLanguage(metadata.language);
+    merged.setProducer('Content Lab Server');
+    merged.setCreator('Content Lab EPUB to PDF');
+
+    return {
+      document: merged,
+      pageCount: merged.getPageCount(),
+      startPages
+    };
+  }
+
+  /**
+   * Add a clickable outline (bookmarks) to a document
+   * entries: [{ title, pageIndex, children }]
+   */
+  addOutline(document, entries) {
+    if (!entries || entries.length === 0) return;
+
+    const context = document.context;
+    const pageRefs = document.getPages().map(page => page.ref);
+    const outlinesRef = context.nextRef();
+
+    // Write sibling items and return { first, last, count } for the parent
+    const writeItems = (items, parentRef) => {
+      const refs = items.map(() => context.nextRef());
+      let count = 0;
+
+      items.forEach((item, i) => {
+        const dict = context.obj({});
+        dict.set(PDFName.of('Title'), PDFHexString.fromText(item.title));
+        dict.set(PDFName.of('Parent'), parentRef);
+        dict.set(PDFName.of('Dest'), context.obj([
+          pageRefs[item.pageIndex],
+          PDFName.of('XYZ'),
+          PDFNull,
+          PDFNull,
+          PDFNull
+        ]));
+
+        if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+        if (item.children && item.children.length > 0) {
+          const children = writeItems(item.children, refs[i]);
+          dict.set(PDFName.of('First'), children.first);
+          dict.set(PDFName.of('Last'), children.last);
+          dict.set(PDFName.of('Count'), context.obj(children.count));
+          count += children.count;
+        }
+
+        context.assign(refs[i], dict);
+        count++;
+      });
+
+      return { first: refs[0], last: refs[refs.length - 1], count };
+    };
+
+    const top = writeItems(entries, outlinesRef);
+
+    context.assign(outlinesRef, context.obj({
+      Type: 'Outlines',
+      First: top.first,
+      Last: top.last,
+      Count: top.count
+    }));
+
+    document.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    document.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+
+  /**
+   * Serialize a document to a Buffer
+   */
+  async save(document) {
+    return Buffer.from(await document.save());
+  }
+
+  /**
+   * Close any pages still rendering
+   * The browser itself is owned by the browser manager
+   */
+  async close() {
+    if (this.openPages.size > 0) {
+      console.log(`[PdfGenerator] Closing ${this.openPages.size} open page(s)...`);
+    }
+
+    for (const page of this.openPages) {
+      await page.close().catch(() => {});
+    }
+    this.openPages.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new PdfGeneratorService();
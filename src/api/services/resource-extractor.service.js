@@ -1,11 +1,24 @@
 /**
  * Resource Extractor Service
  *
- * Extracts resources (images, CSS, JS, fonts) from web pages using Puppeteer
+ * Extracts resources (images, CSS, JS, fonts, audio/video) from web pages using Puppeteer
  * Ported from Chrome extension content.js
  */
 
 const axios = require('axios');
+const CssDependencies = require('../utils/css-dependencies');
+
+// Link paths that are web pages or media, never PDF documents
+const NON_DOCUMENT_EXTENSIONS = /\.(html?|shtml|php|aspx?|jsp|cfm|jpe?g|png|gif|svg|webp|css|js|mp3|mp4|webm|zip)$/i;
+
+// Links without a .pdf extension that are worth a HEAD request
+const DOCUMENT_HINTS = /pdf|download|document|attachment|file|policy|report/i;
+
+// Maximum HEAD requests per page when probing for PDF links
+const MAX_PDF_HEAD_CHECKS = 50;
+
+// Maximum depth of nested CSS @import rules to follow
+const MAX_IMPORT_DEPTH = 5;
 
 class ResourceExtractorService {
   constructor() {
@@ -15,8 +28,10 @@ class ResourceExtractorService {
 
   /**
    * Extract all resources from a Puppeteer page
+   * With a networkRecorder, resources the browser loaded outside the DOM
+   * (CSS backgrounds, web fonts) are included as well
    */
-  async extract(page, url) {
+  async extract(page, url, requestContext = null, networkRecorder = null) {
     console.log(`[ResourceExtractor] Extracting resources from: ${url}`);
 
     // Execute extraction in page context
@@ -25,6 +40,7 @@ class ResourceExtractorService {
         images: [],
         stylesheets: [],
         scripts: [],
+        media: [],
         links: []
       };
 
@@ -62,26 +78,35 @@ class ResourceExtractorService {
         }
       });
 
-      // Extract background images from inline styles
-      document.querySelectorAll('[style*="background"]').forEach(el => {
-        const style = el.getAttribute('style');
-        const urlMatches = style.match(/url\(['"]?([^'"()]+)['"]?\)/gi);
-        if (urlMatches) {
-          urlMatches.forEach(match => {
-            let url = match.replace(/url\(['"]?|['"]?\)/gi, '');
-            if (url && !url.startsWith('data:')) {
-              // Convert relative URLs to absolute
-              try {
-                url = new URL(url, window.location.href).href;
-              } catch (e) {
-                // If URL is already absolute or invalid, use as-is
-              }
-              result.images.push({ url, background: true });
-            }
-          });
+      // Extract audio/video files, their <source> alternatives and subtitle tracks
+      // (blob: and data: sources of streaming players cannot be stored)
+      const mediaUrls = new Set();
+      const addMedia = (url, kind, type) => {
+        if (/^https?:/i.test(url) && !mediaUrls.has(url)) {
+          mediaUrls.add(url);
+          result.media.push({ url, kind, type: type || '' });
+        }
+      };
+
+      document.querySelectorAll('video, audio').forEach(el => {
+        const kind = el.tagName.toLowerCase();
+
+        if (el.getAttribute('src')) addMedia(el.src, kind);
+        el.querySelectorAll('source[src]').forEach(source => addMedia(source.src, kind, source.type));
+        el.querySelectorAll('track[src]').forEach(track => addMedia(track.src, 'track'));
+
+        // Poster frames are stored with the images
+        if (el.poster && !result.images.find(i => i.url === el.poster)) {
+          result.images.push({ url: el.poster, poster: true });
         }
       });
 
+      // Collect style attributes with url() or image-set() (resolved server-side)
+      result.styleAttributes = [];
+      document.querySelectorAll('[style*="url("], [style*="image-set("]').forEach(el => {
+        result.styleAttributes.push(el.getAttribute('style'));
+      });
+
       // Extract external stylesheets
       document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
         if (link.href) {
@@ -97,6 +122,7 @@ class ResourceExtractorService {
         result.stylesheets.push({
           content: style.textContent,
           inline: true,
+          baseUrl: document.baseURI,
           index
         });
       });
@@ -113,6 +139,17 @@ class ResourceExtractorService {
         }
       });
 
+      // Extract link targets (used to discover linked documents such as PDFs)
+      const linkUrls = new Set();
+      document.querySelectorAll('a[href]').forEach(a => {
+        if (/^https?:/i.test(a.href)) {
+          linkUrls.add(a.href.split('#')[0]);
+        }
+      });
+      result.links = Array.from(linkUrls);
+
+      result.baseUrl = document.baseURI;
+
       // Extract favicon
       const favicon = document.querySelector('link[rel*="icon"]');
       if (favicon && favicon.href) {
@@ -125,9 +162,13 @@ class ResourceExtractorService {
       return result;
     });
 
-    // Extract fonts from stylesheets (server-side)
-    const fonts = await this.extractFontsFromStylesheets(resources.stylesheets, url);
-    resources.fonts = fonts;
+    // Follow stylesheet @imports and collect fonts and CSS-only images (server-side)
+    resources.fonts = [];
+    await this.extractStylesheetDependencies(resources, requestContext, networkRecorder);
+
+    if (networkRecorder) {
+      this.addNetworkResources(resources, networkRecorder);
+    }
 
     // Handle Wikipedia thumbnail mapping
     this.mapWikipediaThumbnails(resources.images);
@@ -136,92 +177,168 @@ class ResourceExtractorService {
       - ${resources.images.length} images
       - ${resources.stylesheets.length} stylesheets
       - ${resources.scripts.length} scripts
-      - ${resources.fonts.length} fonts`);
+      - ${resources.fonts.length} fonts
+      - ${resources.media.length} media files`);
 
     return resources;
   }
 
   /**
-   * Extract font URLs from CSS files
-   * Ported from extension background.js
+   * Find links that point to PDF documents
+   * Links ending in .pdf are accepted directly; ambiguous download-style
+   * links are checked with a HEAD request for an application/pdf content type
    */
-  async extractFontsFromStylesheets(stylesheets, baseUrl) {
-    const allFonts = new Set();
+  async findPdfLinks(links = [], requestContext = null) {
+    const pdfs = [];
+    const candidates = [];
 
-    for (const stylesheet of stylesheets) {
+    for (const link of new Set(links)) {
+      let pathname;
       try {
-        let cssText;
-
-        if (stylesheet.inline) {
-          // Inline style tag
-          cssText = stylesheet.content;
-        } else {
-          // External stylesheet - download and parse
-          console.log(`[ResourceExtractor] Fetching stylesheet: ${stylesheet.url}`);
-          const response = await axios.get(stylesheet.url, {
-            timeout: 15000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)'
-            }
-          });
-          cssText = response.data;
-        }
-
-        // Extract font URLs from CSS
-        const fonts = this.extractFontUrlsFromCss(cssText, stylesheet.url || baseUrl);
-        fonts.forEach(font => allFonts.add(font));
+        pathname = new URL(link).pathname;
+      } catch {
+        continue;
+      }
 
-      } catch (error) {
-        console.warn(`[ResourceExtractor] Failed to extract fonts from stylesheet:`, error.message);
+      if (pathname.toLowerCase().endsWith('.pdf')) {
+        pdfs.push(link);
+      } else if (!NON_DOCUMENT_EXTENSIONS.test(pathname) && DOCUMENT_HINTS.test(link)) {
+        candidates.push(link);
       }
     }
 
-    return Array.from(allFonts).map(url => ({ url }));
+    const toCheck = candidates.slice(0, MAX_PDF_HEAD_CHECKS);
+    for (let i = 0; i < toCheck.length; i += 5) {
+      const batch = toCheck.slice(i, i + 5);
+      const results = await Promise.all(batch.map(link => this.isPdfLink(link, requestContext)));
+      batch.forEach((link, index) => {
+        if (results[index]) pdfs.push(link);
+      });
+    }
+
+    console.log(`[ResourceExtractor] Found ${pdfs.length} PDF links (${toCheck.length} checked by HEAD)`);
+
+    return pdfs.map(url => ({ url }));
+  }
+
+  /**
+   * Check a link's content type with a HEAD request
+   */
+  async isPdfLink(url, requestContext = null) {
+    try {
+      const response = await axios.head(url, {
+        timeout: 10000,
+        maxRedirects: 5,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)',
+          ...(requestContext ? requestContext.headersFor(url) : {})
+        },
+        auth: requestContext ? requestContext.authFor(url) : undefined
+      });
+      const contentType = response.headers['content-type'] || '';
+      return contentType.toLowerCase().startsWith('application/pdf');
+    } catch {
+      return false; // Unreachable or HEAD not allowed
+    }
   }
 
   /**
-   * Extract font URLs from CSS text using regex
-   * Direct port from extension background.js
+   * Add images and fonts from the network layer that DOM extraction missed
    */
-  extractFontUrlsFromCss(cssText, baseUrl) {
-    const fontUrls = new Set();
+  addNetworkResources(resources, networkRecorder) {
+    [['image', resources.images], ['font', resources.fonts]].forEach(([type, list]) => {
+      const known = new Set(list.map(resource => resource.url));
 
-    // Match @font-face blocks
-    const fontFaceRegex = /@font-face\s*{([^}]*)}/g;
-    let match;
+      networkRecorder.getEntries([type]).forEach(entry => {
+        if (!known.has(entry.url)) {
+          list.push({ url: entry.url, network: true });
+        }
+      });
+    });
+  }
 
-    while ((match = fontFaceRegex.exec(cssText)) !== null) {
-      const fontFaceBlock = match[1];
+  /**
+   * Resolve the CSS dependency graph of a page
+   * Imported stylesheets are added to resources.stylesheets (imported: true);
+   * fonts and images referenced only from CSS (backgrounds, cursors, sprites,
+   * image-set()) are added to resources.fonts and resources.images (css: true)
+   */
+  async extractStylesheetDependencies(resources, requestContext = null, networkRecorder = null) {
+    const knownImages = new Set(resources.images.map(image => image.url));
+    const knownFonts = new Set(resources.fonts.map(font => font.url));
+    const knownSheets = new Set(resources.stylesheets.filter(css => !css.inline).map(css => css.url));
+
+    const addAssets = (cssText, baseUrl) => {
+      CssDependencies.findAssets(cssText, baseUrl).forEach(({ url, type }) => {
+        const assetUrl = url.split('#')[0]; // SVG sprite fragments share one file
+        const known = type === 'font' ? knownFonts : knownImages;
+        if (known.has(assetUrl)) return;
+
+        known.add(assetUrl);
+        if (type === 'font') {
+          resources.fonts.push({ url: assetUrl });
+        } else {
+          resources.images.push({ url: assetUrl, css: true });
+        }
+      });
+    };
 
-      // Extract URLs from src property
-      const srcRegex = /src:\s*([^;]+);/g;
-      const srcMatch = srcRegex.exec(fontFaceBlock);
+    // Sheets to parse: [cssText or null (fetch), url, baseUrl, import depth]
+    const queue = resources.stylesheets.map(css => (
+      css.inline
+        ? { cssText: css.content, baseUrl: css.baseUrl || resources.baseUrl, depth: 0 }
+        : { url: css.url, baseUrl: css.url, depth: 0 }
+    ));
 
-      if (srcMatch) {
-        const srcValue = srcMatch[1];
+    // Style attributes resolve against the document
+    addAssets((resources.styleAttributes || []).join(';\n'), resources.baseUrl);
 
-        // Extract url() values
-        const urlRegex = /url\(['"]?([^'"()]+)['"]?\)/g;
-        let urlMatch;
+    while (queue.length > 0) {
+      const sheet = queue.shift();
 
-        while ((urlMatch = urlRegex.exec(srcValue)) !== null) {
-          const fontUrl = urlMatch[1];
+      try {
+        const cssText = sheet.cssText !== undefined
+          ? sheet.cssText
+          : await this.fetchStylesheet(sheet.url, requestContext, networkRecorder);
 
-          // Skip data URLs
-          if (fontUrl.startsWith('data:')) continue;
+        if (sheet.depth < MAX_IMPORT_DEPTH) {
+          CssDependencies.findImports(cssText, sheet.baseUrl).forEach(({ url, media }) => {
+            if (knownSheets.has(url)) return;
 
-          // Resolve relative URLs
-          try {
-            const absoluteUrl = new URL(fontUrl, baseUrl).href;
-            fontUrls.add(absoluteUrl);
-          } catch (error) {
-            console.warn(`[ResourceExtractor] Invalid font URL: ${fontUrl}`);
-          }
+            knownSheets.add(url);
+            resources.stylesheets.push({ url, media, imported: true });
+            queue.push({ url, baseUrl: url, depth: sheet.depth + 1 });
+          });
         }
+
+        addAssets(cssText, sheet.baseUrl);
+      } catch (error) {
+        console.warn(`[ResourceExtractor] Failed to parse stylesheet ${sheet.url || '(inline)'}:`, error.message);
       }
     }
+  }
+
+  /**
+   * Get stylesheet text from the network recorder, or fetch it
+   */
+  async fetchStylesheet(url, requestContext = null, networkRecorder = null) {
+    const recorded = networkRecorder ? networkRecorder.get(url) : null;
+    if (recorded) {
+      return recorded.response.body.toString('utf8');
+    }
+
+    console.log(`[ResourceExtractor] Fetching stylesheet: ${url}`);
+    const response = await axios.get(url, {
+      timeout: 15000,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)',
+        ...(requestContext ? requestContext.headersFor(url) : {})
+      },
+      auth: requestContext ? requestContext.authFor(url) : undefined
+    });
 
-    return Array.from(fontUrls);
+    return response.data;
   }
 
   /**
@@ -0,0 +1,242 @@
+/**
+ * Single-File Builder Service
+ *
+ * Turns a stored capture page into one self-contained HTML file
+ * Stylesheets and scripts are inlined; images, fonts and CSS url()
+ * references become data URIs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const mime = require('mime-types');
+
+// Attributes holding a single resource URL
+const URL_ATTRIBUTES = [
+  { selector: 'img[src]', attr: 'src' },
+  { selector: 'input[type="image"][src]', attr: 'src' },
+  { selector: 'video[poster]', attr: 'poster' },
+  { selector: 'track[src]', attr: 'src' },
+  { selector: 'link[rel~="icon"][href]', attr: 'href' },
+  { selector: 'link[rel="apple-touch-icon"][href]', attr: 'href' }
+];
+
+// Attributes holding a srcset list
+const SRCSET_SELECTOR = 'img[srcset], source[srcset]';
+
+// Maximum depth of nested CSS @import rules to follow
+const MAX_IMPORT_DEPTH = 5;
+
+class SingleFileBuilderService {
+  /**
+   * Build a single-file HTML document from a stored capture page
+   * file is relative to the capture folder (index.html, pages/page_N.html)
+   */
+  async build(captureDir, file = 'index.html') {
+    const pagePath = this.resolveInside(captureDir, file);
+    const html = await fs.readFile(pagePath, 'utf8');
+    const baseDir = path.dirname(pagePath);
+    const $ = cheerio.load(html);
+
+    // Data URIs are cached so shared images and fonts are read once
+    const context = { captureDir, dataUris: new Map() };
+
+    // Linked stylesheets become <style> blocks
+    for (const el of $('link[rel~="stylesheet"][href]').toArray()) {
+      const $link = $(el);
+      const css = await this.readStylesheet($link.attr('href'), baseDir, context);
+      if (css === null) continue;
+
+      const $style = $('<style></style>').text(css);
+      if ($link.attr('media')) $style.attr('media', $link.attr('media'));
+      $link.replaceWith($style);
+    }
+
+    // Inline <style> blocks and style attributes
+    for (const el of $('style').toArray()) {
+      const $style = $(el);
+      $style.text(await this.inlineCss($style.html() || '', baseDir, context, 0));
+    }
+
+    for (const el of $('[style]').toArray()) {
+      const $el = $(el);
+      $el.attr('style', await this.inlineCssUrls($el.attr('style'), baseDir, context));
+    }
+
+    // Images and icons
+    for (const { selector, attr } of URL_ATTRIBUTES) {
+      for (const el of $(selector).toArray()) {
+        const $el = $(el);
+        const dataUri = await this.toDataUri($el.attr(attr), baseDir, context);
+        if (dataUri) $el.attr(attr, dataUri);
+      }
+    }
+
+    for (const el of $(SRCSET_SELECTOR).toArray()) {
+      const $el = $(el);
+      $el.attr('srcset', await this.inlineSrcset($el.attr('srcset'), baseDir, context));
+    }
+
+    // Scripts are embedded as inline code
+    for (const el of $('script[src]').toArray()) {
+      const $script = $(el);
+      const scriptPath = this.resolveLocal($script.attr('src'), baseDir, captureDir);
+      if (!scriptPath) continue;
+
+      try {
+        const code = await fs.readFile(scriptPath, 'utf8');
+        $script.removeAttr('src');
+        $script.text(code.replace(/<\/script/gi, '<\\/script'));
+      } catch (error) {
+        console.warn(`[SingleFileBuilder] Failed to inline script ${$script.attr('src')}:`, error.message);
+      }
+    }
+
+    // Resource hints point at files that are no longer separate
+    $('link[rel="preload"], link[rel="modulepreload"], link[rel="prefetch"]').each((i, el) => {
+      const $link = $(el);
+      if (this.resolveLocal($link.attr('href'), baseDir, captureDir)) {
+        $link.remove();
+      }
+    });
+
+    return $.html();
+  }
+
+  /**
+   * Read a local stylesheet with its imports and url() references inlined
+   * Returns null for remote or missing stylesheets
+   */
+  async readStylesheet(href, baseDir, context, depth = 0) {
+    const cssPath = this.resolveLocal(href, baseDir, context.captureDir);
+    if (!cssPath) return null;
+
+    try {
+      const css = await fs.readFile(cssPath, 'utf8');
+      return await this.inlineCss(css, path.dirname(cssPath), context, depth);
+    } catch (error) {
+      console.warn(`[SingleFileBuilder] Failed to inline stylesheet ${href}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Inline @import rules and url() references in a stylesheet
+   * cssDir is the folder relative URLs resolve against
+   */
+  async inlineCss(css, cssDir, context, depth) {
+    const importPattern = /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/gi;
+    const imports = [...css.matchAll(importPattern)];
+
+    for (const match of imports) {
+      if (depth >= MAX_IMPORT_DEPTH) break;
+
+      const href = match[2] || match[4];
+      const media = match[5].trim();
+      const imported = await this.readStylesheet(href, cssDir, context, depth + 1);
+      if (imported === null) continue;
+
+      // Function replacement: '$' sequences in the stylesheet are not patterns
+      css = css.replace(match[0], () => (media ? `@media ${media} {\n${imported}\n}` : imported));
+    }
+
+    return this.inlineCssUrls(css, cssDir, context);
+  }
+
+  /**
+   * Replace local url() references with data URIs
+   */
+  async inlineCssUrls(css, cssDir, context) {
+    const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+    const replacements = new Map();
+
+    for (const match of css.matchAll(urlPattern)) {
+      if (replacements.has(match[0])) continue;
+
+      const dataUri = await this.toDataUri(match[2], cssDir, context);
+      if (dataUri) replacements.set(match[0], `url("${dataUri}")`);
+    }
+
+    return css.replace(urlPattern, match => replacements.get(match) || match);
+  }
+
+  /**
+   * Replace local srcset candidates with data URIs
+   */
+  async inlineSrcset(srcset, baseDir, context) {
+    const candidates = srcset.split(/,\s+/).map(candidate => candidate.trim()).filter(Boolean);
+    const inlined = [];
+
+    for (const candidate of candidates) {
+      const [url, ...descriptors] = candidate.split(/\s+/);
+      const dataUri = await this.toDataUri(url, baseDir, context);
+      inlined.push([dataUri || url, ...descriptors].join(' '));
+    }
+
+    return inlined.join(', ');
+  }
+
+  /**
+   * Read a local file as a data URI
+   * Returns null for remote, missing or out-of-capture references
+   */
+  async toDataUri(url, baseDir, context) {
+    const filePath = this.resolveLocal(url, baseDir, context.captureDir);
+    if (!filePath) return null;
+
+    if (context.dataUris.has(filePath)) {
+      return context.dataUris.get(filePath);
+    }
+
+    let dataUri = null;
+    try {
+      const buffer = await fs.readFile(filePath);
+      const mediaType = mime.lookup(filePath) || 'application/octet-stream';
+      dataUri = `data:${mediaType};base64,${buffer.toString('base64')}`;
+    } catch {
+      // Missing file: keep the original reference
+    }
+
+    context.dataUris.set(filePath, dataUri);
+    return dataUri;
+  }
+
+  /**
+   * Resolve a relative reference to a file inside the capture folder
+   * Returns null for remote, data and fragment references
+   */
+  resolveLocal(url, baseDir, captureDir) {
+    if (!url) return null;
+
+    const value = url.trim();
+    if (!value || value.startsWith('#') || /^([a-z][a-z0-9+.-]*:|\/\/|\/)/i.test(value)) {
+      return null;
+    }
+
+    let relative = value.split('#')[0].split('?')[0];
+    try {
+      relative = decodeURIComponent(relative);
+    } catch {
+      // Keep undecodable paths as-is
+    }
+
+    try {
+      return this.resolveInside(captureDir, path.relative(captureDir, path.resolve(baseDir, relative)));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Resolve a path and make sure it stays inside root
+   */
+  resolveInside(root, relativePath) {
+    const resolved = path.resolve(root, relativePath);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid path outside capture: ${relativePath}`);
+    }
+    return resolved;
+  }
+}
+
+module.exports = SingleFileBuilderService;
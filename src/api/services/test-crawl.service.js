@@ -8,6 +8,18 @@
 
 const { TestCrawl, DiscoveredPage } = require('../models/test-crawl.model');
 const browserManager = require('./browser-manager.service');
+const PreCaptureScript = require('../utils/pre-capture-script');
+const RequestContext = require('../utils/request-context');
+const DeviceEmulation = require('../utils/device-emulation');
+const RateLimiter = require('../utils/rate-limiter');
+const RobotsPolicy = require('../utils/robots-policy');
+const SitemapDiscovery = require('../utils/sitemap-discovery');
+const CrawlScope = require('../utils/crawl-scope');
+const UrlNormalizer = require('../utils/url-normalizer');
+const DuplicateDetector = require('../utils/duplicate-detector');
+
+const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 class TestCrawlService {
   constructor() {
@@ -23,7 +35,9 @@ class TestCrawlService {
     this.activeCrawls.set(testCrawl.crawlId, testCrawl);
 
     console.log(`[TestCrawlService] Starting test crawl ${testCrawl.crawlId} for ${url}`);
-    console.log(`[TestCrawlService] Options:`, testCrawl.options);
+    // Only log crawl limits; options may carry credentials
+    const { depth, maxPages, sameDomainOnly, ignoreRobots } = testCrawl.options;
+    console.log(`[TestCrawlService] Options:`, { depth, maxPages, sameDomainOnly, ignoreRobots });
 
     // Run crawl in background (don't await)
     this.executeCrawl(testCrawl).catch(error => {
@@ -36,6 +50,8 @@ class TestCrawlService {
 
   /**
    * Execute the crawl using BFS algorithm
+   * URLs disallowed by robots.txt are listed in discovered.skipped
+   * With options.sitemap, sitemap pages are queued below the start page
    */
   async executeCrawl(testCrawl) {
     let browser = null;
@@ -49,14 +65,57 @@ class TestCrawlService {
       const visited = new Set();
       const discoveredPages = [];
 
-      // Parse base domain for same-domain checks
-      const baseDomain = new URL(testCrawl.url).hostname;
+      // Domain, path prefix, pattern, extension and query parameter rules for followed URLs
+      const normalizer = new UrlNormalizer(testCrawl.options.normalization);
+      const scope = new CrawlScope(
+        testCrawl.url,
+        testCrawl.options.scope,
+        testCrawl.options.sameDomainOnly,
+        normalizer
+      );
+
+      // Redirects, canonical aliases and near-duplicate pages collapse into the first page found
+      const duplicates = new DuplicateDetector(normalizer, testCrawl.options.duplicates);
+      const addDuplicate = (url, depth, parentUrl, duplicate) => {
+        console.log(`[TestCrawlService] Skipping ${url} (${duplicate.reason} duplicate of ${duplicate.duplicateOf})`);
+        testCrawl.addDuplicate({ url, depth, parentUrl, ...duplicate });
+      };
+
+      // Paces navigation per domain (robots.txt Crawl-delay)
+      const userAgent = testCrawl.options.userAgent || DEFAULT_USER_AGENT;
+      const requestContext = new RequestContext(testCrawl.options, testCrawl.url);
+      const rateLimiter = new RateLimiter({ minDelay: 0 });
+      const robots = testCrawl.options.ignoreRobots ? null : new RobotsPolicy({
+        userAgent,
+        requestContext,
+        rateLimiter
+      });
+
+      // Seed pages JS navigation hides from link extraction
+      const sitemapEntries = new Map(); // URL -> lastmod
+      if (testCrawl.options.sitemap) {
+        const discovery = new SitemapDiscovery({ userAgent, requestContext, robots });
+        const { pages, sitemaps } = await discovery.discover(testCrawl.url, {
+          ...testCrawl.options.sitemap,
+          sameHostOnly: false // The crawl scope decides
+        });
+
+        pages.forEach(entry => {
+          const url = scope.normalize(entry.url);
+          if (!url || !scope.check(url).allowed) return;
+
+          sitemapEntries.set(url, entry.lastmod);
+          queue.push([url, 1, testCrawl.url]);
+        });
+        testCrawl.setSitemapResult(sitemaps, pages.length);
+      }
 
       while (queue.length > 0 && discoveredPages.length < testCrawl.options.maxPages) {
         const [currentUrl, depth, parentUrl] = queue.shift();
 
-        // Skip if already visited
-        if (visited.has(currentUrl)) {
+        // Skip if already visited (aliases of a URL share its key)
+        const key = normalizer.key(currentUrl) || currentUrl;
+        if (visited.has(key)) {
           continue;
         }
 
@@ -65,27 +124,42 @@ class TestCrawlService {
           continue;
         }
 
-        // Skip if different domain and sameDomainOnly is true
-        if (testCrawl.options.sameDomainOnly) {
-          try {
-            const currentDomain = new URL(currentUrl).hostname;
-            if (currentDomain !== baseDomain) {
-              console.log(`[TestCrawlService] Skipping different domain: ${currentUrl}`);
-              continue;
-            }
-          } catch (e) {
-            console.warn(`[TestCrawlService] Invalid URL, skipping: ${currentUrl}`);
+        visited.add(key);
+
+        // Skip URLs that already led to a discovered page (redirects, canonicals)
+        const knownDuplicate = duplicates.check(currentUrl);
+        if (knownDuplicate) {
+          addDuplicate(currentUrl, depth, parentUrl, knownDuplicate);
+          continue;
+        }
+
+        if (robots) {
+          const verdict = await robots.check(currentUrl);
+          if (!verdict.allowed) {
+            console.log(`[TestCrawlService] Skipping ${currentUrl} (robots.txt ${verdict.rule})`);
+            testCrawl.addSkipped({ url: currentUrl, depth, parentUrl, reason: 'robots', detail: verdict.rule });
             continue;
           }
         }
 
-        visited.add(currentUrl);
+        await rateLimiter.waitForDomain(currentUrl);
 
         console.log(`[TestCrawlService] Discovering page (depth ${depth}): ${currentUrl}`);
 
         // Discover page metadata
         try {
-          const pageData = await this.discoverPage(browser, currentUrl, depth);
+          const pageData = await this.discoverPage(browser, currentUrl, depth, testCrawl, parentUrl);
+
+          const duplicate = duplicates.register(pageData);
+          if (duplicate) {
+            addDuplicate(currentUrl, depth, parentUrl, duplicate);
+            continue;
+          }
+
+          if (sitemapEntries.has(currentUrl)) {
+            pageData.source = 'sitemap';
+            pageData.metadata.lastModified = sitemapEntries.get(currentUrl);
+          }
           discoveredPages.push(pageData);
           testCrawl.addPage(pageData);
 
@@ -96,11 +170,11 @@ class TestCrawlService {
           );
           testCrawl.updateProgress(progress);
 
-          // Add discovered links to queue for next depth level
+          // Add in-scope links to queue for next depth level
           if (depth < testCrawl.options.depth && pageData.links > 0) {
-            const links = pageData.discoveredLinks || [];
+            const links = scope.filter(pageData.discoveredLinks || []);
             for (const link of links) {
-              if (!visited.has(link) && discoveredPages.length < testCrawl.options.maxPages) {
+              if (!visited.has(normalizer.key(link)) && discoveredPages.length < testCrawl.options.maxPages) {
                 queue.push([link, depth + 1, currentUrl]);
               }
             }
@@ -127,33 +201,53 @@ class TestCrawlService {
   /**
    * Discover a single page's metadata (without downloading resources)
    */
-  async discoverPage(browser, url, depth) {
+  async discoverPage(browser, url, depth, testCrawl, parentUrl = null) {
     const page = await browser.newPage();
 
     try {
-      // Set user agent
-      await page.setUserAgent(
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
+      const { userAgent, preCaptureScript, timeout } = testCrawl.options;
+
+      // Set user agent (a device preset may replace the default)
+      await page.setUserAgent(userAgent || DEFAULT_USER_AGENT);
+
+      // Same viewport as the capture, so responsive navigation matches
+      await DeviceEmulation.apply(page, testCrawl.options);
+
+      // Custom headers, cookies and basic auth (host-only cookies follow the start URL)
+      await new RequestContext(testCrawl.options, testCrawl.url).applyToPage(page);
+
+      // Run pre-capture script (e.g. form login) before blocking resources
+      if (preCaptureScript.length > 0) {
+        await PreCaptureScript.run(page, preCaptureScript, {
+          baseUrl: testCrawl.url,
+          timeout
+        });
+      }
 
       // Abort resource downloads to speed up discovery
+      // (priority 0 cooperates with the custom header handler of RequestContext)
       await page.setRequestInterception(true);
       page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+
         const resourceType = request.resourceType();
         // Only allow document and script (need JS for SPAs), abort everything else
         if (['document', 'script'].includes(resourceType)) {
-          request.continue();
+          request.continue(request.continueRequestOverrides(), 0);
         } else {
-          request.abort();
+          request.abort('failed', 0);
         }
       });
 
       // Navigate to page
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: ['domcontentloaded', 'networkidle2'],
         timeout: 30000
       });
 
+      // Redirects, canonical URL and text fingerprint for duplicate detection
+      const { finalUrl, redirectChain, canonicalUrl, fingerprint } = await DuplicateDetector.inspectPage(page, response);
+
       // Extract metadata
       const metadata = await page.evaluate(() => {
         // Get title
@@ -223,6 +317,7 @@ class TestCrawlService {
         title: metadata.title,
         description: metadata.description,
         depth,
+        parentUrl,
         estimatedSize,
         estimatedSizeBytes: metadata.estimatedSizeBytes,
         links: metadata.links,
@@ -231,11 +326,15 @@ class TestCrawlService {
         js: metadata.js,
         fonts: metadata.fonts,
         selected: true,
+        finalUrl,
+        redirectChain,
+        canonicalUrl,
         metadata: metadata.metadata
       });
 
-      // Store discovered links for BFS (not part of DiscoveredPage model)
+      // Store discovered links for BFS and the text fingerprint (not part of DiscoveredPage model)
       discoveredPage.discoveredLinks = metadata.discoveredLinks;
+      discoveredPage.fingerprint = fingerprint;
 
       return discoveredPage;
 
@@ -264,33 +363,43 @@ class TestCrawlService {
       throw new Error(`Test crawl ${crawlId} not found`);
     }
 
-    const pages = testCrawl.discovered.pages;
-
-    // Build parent-child relationships
-    const pagesByUrl = new Map();
-    pages.forEach(page => pagesByUrl.set(page.url, { ...page, children: [] }));
-
-    // Organize by depth
-    const root = [];
-    pages.forEach(page => {
-      const pageNode = pagesByUrl.get(page.url);
-      if (page.depth === 0) {
-        root.push(pageNode);
-      }
-    });
-
-    // For now, return flat list grouped by depth
-    // TODO: Build true hierarchical tree based on parent-child links
     return {
       crawlId,
       status: testCrawl.status,
-      tree: root,
+      tree: testCrawl.buildTree(),
       byDepth: testCrawl.discovered.byDepth,
+      skipped: testCrawl.discovered.skipped,
+      duplicates: testCrawl.discovered.duplicates,
+      sitemap: testCrawl.discovered.sitemap,
       totalPages: testCrawl.discovered.totalPages,
       totalEstimatedSize: testCrawl.discovered.totalEstimatedSize
     };
   }
 
+  /**
+   * Get the URLs of discovered subtrees (each root page and all pages below it)
+   * @param {string[]} rootUrls - Subtree root page URLs
+   * @returns {string[]} URLs in discovery order, without repeats
+   */
+  getSubtreeUrls(crawlId, rootUrls) {
+    const testCrawl = this.activeCrawls.get(crawlId);
+    if (!testCrawl) {
+      throw new Error(`Test crawl ${crawlId} not found`);
+    }
+
+    const urls = new Set();
+
+    rootUrls.forEach(rootUrl => {
+      const subtree = testCrawl.getSubtreeUrls(rootUrl);
+      if (!subtree) {
+        throw new Error(`Page ${rootUrl} not found in test crawl ${crawlId}`);
+      }
+      subtree.forEach(url => urls.add(url));
+    });
+
+    return [...urls];
+  }
+
   /**
    * Cancel a running test crawl
    */
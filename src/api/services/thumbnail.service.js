@@ -0,0 +1,55 @@
+/**
+ * Thumbnail Service
+ *
+ * Renders small preview images of stored captures for the library grid
+ * The stored page is loaded from disk and screenshotted at a reduced
+ * device scale factor, so no image processing library is needed
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Layout size of the rendered page (CSS pixels)
+const VIEWPORT = { width: 1280, height: 800 };
+
+// Output is VIEWPORT * SCALE (320x200)
+const SCALE = 0.25;
+
+const THUMBNAIL_FILE = 'thumbnail.jpg';
+
+class ThumbnailService {
+  constructor(browser) {
+    this.browser = browser;
+  }
+
+  /**
+   * Generate thumbnail.jpg for a capture folder
+   * Returns the thumbnail filename relative to the capture folder
+   */
+  async generate(captureDir, file = 'index.html') {
+    const page = await this.browser.newPage();
+
+    try {
+      // Captured HTML is already rendered; scripts would only re-fetch content
+      await page.setJavaScriptEnabled(false);
+      await page.setViewport({ ...VIEWPORT, deviceScaleFactor: SCALE });
+
+      await page.goto(pathToFileURL(path.join(captureDir, file)).href, {
+        waitUntil: 'load',
+        timeout: 15000
+      });
+
+      await page.screenshot({
+        path: path.join(captureDir, THUMBNAIL_FILE),
+        type: 'jpeg',
+        quality: 70
+      });
+
+      return THUMBNAIL_FILE;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = ThumbnailService;
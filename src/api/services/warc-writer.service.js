@@ -0,0 +1,404 @@
+/**
+ * WARC Writer Service
+ *
+ * Writes captured HTTP exchanges as ISO 28500 (WARC/1.1) records
+ * and bundles them as WACZ packages for web-archive replay tools
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const RequestContext = require('../utils/request-context');
+
+const WARC_VERSION = 'WARC/1.1';
+const WACZ_VERSION = '1.1.1';
+const SOFTWARE = 'Content Lab Web Capture';
+
+// Headers that no longer describe the stored (decoded) payload
+const TRANSPORT_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+class WarcWriterService {
+  /**
+   * Build an exchange from a Puppeteer navigation response
+   * Redirect hops are returned first so the whole chain can be replayed
+   * Credentials in request headers are redacted (see RequestContext.redactHeaders)
+   */
+  static async fromPageResponse(response, requestContext = null) {
+    const exchanges = [];
+    if (!response) return exchanges;
+
+    const request = response.request();
+
+    for (const hop of request.redirectChain()) {
+      const hopResponse = hop.response();
+      if (!hopResponse) continue;
+
+      exchanges.push({
+        url: hop.url(),
+        method: hop.method(),
+        date: new Date(),
+        request: { headers: RequestContext.redactHeaders(hop.headers(), requestContext) },
+        response: {
+          status: hopResponse.status(),
+          statusText: hopResponse.statusText(),
+          headers: hopResponse.headers(),
+          body: Buffer.alloc(0)
+        }
+      });
+    }
+
+    let body;
+    try {
+      body = await response.buffer();
+    } catch {
+      body = Buffer.alloc(0); // Body not available (e.g. evicted from cache)
+    }
+
+    exchanges.push({
+      url: response.url(),
+      method: request.method(),
+      date: new Date(),
+      request: { headers: RequestContext.redactHeaders(request.headers(), requestContext) },
+      response: {
+        status: response.status(),
+        statusText: response.statusText(),
+        headers: response.headers(),
+        body
+      }
+    });
+
+    return exchanges;
+  }
+
+  /**
+   * Write exchanges to a gzipped WARC file
+   * Each record is its own gzip member so records can be read by offset
+   * Returns index entries for the response records
+   */
+  async writeWarc(exchanges, outputPath, info = {}) {
+    const filename = path.basename(outputPath);
+    const members = [];
+    const entries = [];
+    let offset = 0;
+
+    const addRecord = (record, entry) => {
+      const member = zlib.gzipSync(record);
+      if (entry) {
+        entries.push({ ...entry, offset, length: member.length, filename });
+      }
+      members.push(member);
+      offset += member.length;
+    };
+
+    addRecord(this.buildWarcinfoRecord(filename, info));
+
+    for (const exchange of exchanges) {
+      const responseId = this.recordId();
+      const response = this.buildResponseRecord(exchange, responseId);
+
+      addRecord(response.record, {
+        url: exchange.url,
+        date: exchange.date,
+        status: exchange.response.status,
+        mime: this.getMimeType(exchange.response.headers),
+        digest: response.payloadDigest
+      });
+      addRecord(this.buildRequestRecord(exchange, responseId));
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, Buffer.concat(members));
+
+    console.log(`[WarcWriter] WARC created: ${outputPath} (${entries.length} responses, ${offset} bytes)`);
+
+    return entries;
+  }
+
+  /**
+   * Write a WACZ package around an existing WARC file
+   * pages: [{ url, title, date }]
+   */
+  async writeWacz(warcPath, entries, pages, outputPath, info = {}) {
+    const zip = new JSZip();
+    const warcName = path.basename(warcPath);
+
+    const files = {
+      [`archive/${warcName}`]: await fs.readFile(warcPath),
+      'indexes/index.cdxj': Buffer.from(this.buildCdxj(entries)),
+      'pages/pages.jsonl': Buffer.from(this.buildPagesJsonl(pages))
+    };
+
+    const resources = Object.entries(files).map(([name, data]) => {
+      // WARCs are already compressed and must stay seekable
+      zip.file(name, data, { compression: 'STORE', createFolders: false });
+      return {
+        name: path.basename(name),
+        path: name,
+        hash: `sha256:${this.sha256(data)}`,
+        bytes: data.length
+      };
+    });
+
+    const datapackage = JSON.stringify({
+      profile: 'data-package',
+      wacz_version: WACZ_VERSION,
+      title: info.title || '',
+      mainPageURL: pages[0]?.url,
+      mainPageDate: pages[0] ? this.toIsoDate(pages[0].date) : undefined,
+      created: new Date().toISOString(),
+      software: SOFTWARE,
+      resources
+    }, null, 2);
+
+    zip.file('datapackage.json', datapackage);
+    zip.file('datapackage-digest.json', JSON.stringify({
+      path: 'datapackage.json',
+      hash: `sha256:${this.sha256(Buffer.from(datapackage))}`
+    }, null, 2));
+
+    const buffer = await zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 }
+    });
+
+    await fs.writeFile(outputPath, buffer);
+
+    console.log(`[WarcWriter] WACZ created: ${outputPath} (${buffer.length} bytes)`);
+
+    return outputPath;
+  }
+
+  /**
+   * Build the warcinfo record that opens the file
+   */
+  buildWarcinfoRecord(filename, info = {}) {
+    const fields = [
+      `software: ${SOFTWARE}`,
+      'format: WARC File Format 1.1',
+      'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'
+    ];
+    if (info.title) fields.push(`title: ${this.headerValue(info.title)}`);
+    if (info.url) fields.push(`description: Capture of ${info.url}`);
+
+    return this.buildRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': this.recordId(),
+      'WARC-Date': this.toWarcDate(new Date()),
+      'WARC-Filename': filename,
+      'Content-Type': 'application/warc-fields'
+    }, Buffer.from(fields.join('\r\n') + '\r\n'));
+  }
+
+  /**
+   * Build a response record
+   * Returns { record, payloadDigest }
+   */
+  buildResponseRecord(exchange, recordId) {
+    const { status, statusText, headers = {}, body = Buffer.alloc(0) } = exchange.response;
+
+    // Payloads are stored decoded, so transport headers are rewritten to match
+    const headerLines = Object.entries(headers)
+      .filter(([name]) => !TRANSPORT_HEADERS.includes(name.toLowerCase()))
+      .flatMap(([name, value]) => this.headerLines(name, value));
+    headerLines.push(`Content-Length: ${body.length}`);
+
+    const httpHead = `HTTP/1.1 ${status} ${statusText || ''}`.trim() + '\r\n' +
+      headerLines.join('\r\n') + '\r\n\r\n';
+    const block = Buffer.concat([Buffer.from(httpHead), body]);
+    const payloadDigest = this.sha1(body);
+
+    const record = this.buildRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': recordId,
+      'WARC-Date': this.toWarcDate(exchange.date),
+      'WARC-Target-URI': exchange.url,
+      'WARC-Payload-Digest': payloadDigest,
+      'WARC-Block-Digest': this.sha1(block),
+      'Content-Type': 'application/http; msgtype=response'
+    }, block);
+
+    return { record, payloadDigest };
+  }
+
+  /**
+   * Build a request record linked to its response
+   */
+  buildRequestRecord(exchange, responseId) {
+    const urlObj = new URL(exchange.url);
+    const headers = { ...(exchange.request?.headers || {}) };
+
+    // Browsers and HTTP clients send Host implicitly
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'host')) {
+      headers.Host = urlObj.host;
+    }
+
+    const headerLines = Object.entries(headers)
+      .flatMap(([name, value]) => this.headerLines(name, value));
+    const httpHead = `${exchange.method || 'GET'} ${urlObj.pathname}${urlObj.search} HTTP/1.1\r\n` +
+      headerLines.join('\r\n') + '\r\n\r\n';
+    const block = Buffer.from(httpHead);
+
+    return this.buildRecord({
+      'WARC-Type': 'request',
+      'WARC-Record-ID': this.recordId(),
+      'WARC-Date': this.toWarcDate(exchange.date),
+      'WARC-Target-URI': exchange.url,
+      'WARC-Concurrent-To': responseId,
+      'WARC-Block-Digest': this.sha1(block),
+      'Content-Type': 'application/http; msgtype=request'
+    }, block);
+  }
+
+  /**
+   * Serialize WARC header fields and content block into a record
+   */
+  buildRecord(fields, block) {
+    const head = [WARC_VERSION]
+      .concat(Object.entries(fields).map(([name, value]) => `${name}: ${value}`))
+      .concat(`Content-Length: ${block.length}`)
+      .join('\r\n') + '\r\n\r\n';
+
+    return Buffer.concat([Buffer.from(head), block, Buffer.from('\r\n\r\n')]);
+  }
+
+  /**
+   * Build a sorted CDXJ index from WARC index entries
+   */
+  buildCdxj(entries) {
+    const lines = entries.map(entry => {
+      const json = {
+        url: entry.url,
+        mime: entry.mime,
+        status: String(entry.status),
+        digest: entry.digest,
+        length: String(entry.length),
+        offset: String(entry.offset),
+        filename: entry.filename
+      };
+      return `${this.toSurt(entry.url)} ${this.toTimestamp(entry.date)} ${JSON.stringify(json)}`;
+    });
+
+    return lines.sort().join('\n') + '\n';
+  }
+
+  /**
+   * Build pages.jsonl for WACZ
+   */
+  buildPagesJsonl(pages) {
+    const lines = [{ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' }];
+
+    pages.forEach(page => {
+      lines.push({
+        id: uuidv4().replace(/-/g, ''),
+        url: page.url,
+        ts: this.toIsoDate(page.date),
+        title: page.title || page.url
+      });
+    });
+
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Convert a URL to a SURT key (com,example)/path?query)
+   */
+  toSurt(url) {
+    try {
+      const urlObj = new URL(url);
+      const hostParts = urlObj.hostname.toLowerCase().split('.').reverse();
+      if (hostParts[hostParts.length - 1] === 'www') hostParts.pop();
+
+      const host = hostParts.join(',') + (urlObj.port ? `:${urlObj.port}` : '');
+      const query = urlObj.search.length > 1
+        ? '?' + urlObj.search.slice(1).split('&').sort().join('&')
+        : '';
+
+      return `${host})${urlObj.pathname.toLowerCase()}${query.toLowerCase()}`;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Split multi-value headers (joined by newlines) into header lines
+   */
+  headerLines(name, value) {
+    const values = Array.isArray(value) ? value : String(value).split('\n');
+    return values.map(v => `${name}: ${this.headerValue(v)}`);
+  }
+
+  /**
+   * Strip line breaks from a header value
+   */
+  headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * Get the MIME type from response headers
+   */
+  getMimeType(headers = {}) {
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+    return name ? String(headers[name]).split(';')[0].trim().toLowerCase() : 'unk';
+  }
+
+  /**
+   * Generate a WARC record ID
+   */
+  recordId() {
+    return `<urn:uuid:${uuidv4()}>`;
+  }
+
+  /**
+   * Format a date as WARC-Date (second precision)
+   */
+  toWarcDate(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  /**
+   * Format a date as ISO 8601
+   */
+  toIsoDate(date) {
+    return new Date(date || Date.now()).toISOString();
+  }
+
+  /**
+   * Format a date as a 14-digit CDX timestamp
+   */
+  toTimestamp(date) {
+    return new Date(date).toISOString().replace(/[^\d]/g, '').substring(0, 14);
+  }
+
+  /**
+   * Hex SHA-256 digest
+   */
+  sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * SHA-1 digest in the base32 form used by WARC tooling
+   */
+  sha1(data) {
+    const hash = crypto.createHash('sha1').update(data).digest();
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    let output = '';
+
+    hash.forEach(byte => {
+      bits += byte.toString(2).padStart(8, '0');
+    });
+    for (let i = 0; i < bits.length; i += 5) {
+      output += alphabet[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return `sha1:${output}`;
+  }
+}
+
+module.exports = WarcWriterService;
@@ -11,7 +11,16 @@ const ResourceExtractorService = require('./resource-extractor.service');
 const MultiPageCrawlerService = require('./multi-page-crawler.service');
 const ZipBuilderService = require('./zip-builder.service');
 const CaptureStorageService = require('./capture-storage.service');
+const WarcWriterService = require('./warc-writer.service');
+const ThumbnailService = require('./thumbnail.service');
 const ResourceDownloader = require('../utils/resource-downloader');
+const PageSnapshot = require('../utils/page-snapshot');
+const RequestContext = require('../utils/request-context');
+const NetworkRecorder = require('../utils/network-recorder');
+const CssDependencies = require('../utils/css-dependencies');
+const FrameSerializer = require('../utils/frame-serializer');
+const DeviceEmulation = require('../utils/device-emulation');
+const PreCaptureScript = require('../utils/pre-capture-script');
 
 class WebCaptureService {
   constructor(browser, tempDir) {
@@ -21,6 +30,8 @@ class WebCaptureService {
     this.multiPageCrawler = new MultiPageCrawlerService(browser, this.resourceExtractor);
     this.zipBuilder = new ZipBuilderService();
     this.captureStorage = new CaptureStorageService();
+    this.warcWriter = new WarcWriterService();
+    this.thumbnails = new ThumbnailService(browser);
   }
 
   /**
@@ -71,15 +82,43 @@ class WebCaptureService {
         await page.setUserAgent(options.userAgent);
       }
 
+      // Viewport, device preset and media features
+      await DeviceEmulation.apply(page, options);
+
+      // Custom headers, cookies and basic auth
+      const requestContext = new RequestContext(options, url);
+      await requestContext.applyToPage(page);
+
+      // Step 1.5: Run pre-capture script (e.g. form login)
+      if (options.preCaptureScript?.length > 0) {
+        job.updateProgress('Running pre-capture script...', 7);
+        await PreCaptureScript.run(page, options.preCaptureScript, {
+          baseUrl: url,
+          timeout: options.timeout
+        });
+        job.completeStep('Running pre-capture script...');
+      }
+
+      // Record response bodies while the page loads (reused instead of re-downloading)
+      const networkRecorder = options.networkCapture ? new NetworkRecorder({ requestContext }) : null;
+      if (networkRecorder) {
+        networkRecorder.attach(page);
+      }
+
       // Step 2: Navigate to URL
       job.updateProgress(`Navigating to ${url}...`, 10);
 
       // Wait for both DOM content loaded AND network idle for better SPA support
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: ['domcontentloaded', 'networkidle2'],
         timeout: options.timeout
       });
 
+      // Keep the original document response for WARC output
+      const documentExchanges = options.warc?.enabled
+        ? await WarcWriterService.fromPageResponse(response, requestContext)
+        : [];
+
       // Optional: Wait for content-specific selectors if provided
       if (options.contentSelector) {
         try {
@@ -98,33 +137,70 @@ class WebCaptureService {
       job.updateProgress('Triggering lazy-loaded content...', 15);
       await this.triggerLazyLoading(page);
 
+      if (networkRecorder) {
+        await networkRecorder.flush();
+      }
+
       // Step 3: Extract resources
       job.updateProgress('Extracting resources...', 20);
-      const resources = await this.resourceExtractor.extract(page, url);
+      let resources = await this.resourceExtractor.extract(page, url, requestContext, networkRecorder);
+
+      // Step 3.5: Serialize iframes (with their own resources) and the page
+      let frameCapture = null;
+      if (options.includeFrames) {
+        job.updateProgress('Capturing frames...', 25);
+        frameCapture = await FrameSerializer.captureFrames(page);
+
+        for (const entry of frameCapture.frames) {
+          entry.resources = await this.resourceExtractor.extract(entry.frame, entry.baseUrl, requestContext, networkRecorder);
+        }
+
+        if (frameCapture.frames.length > 0) {
+          resources = {
+            ...this.mergePageResources([{ resources }, ...frameCapture.frames]),
+            favicon: resources.favicon
+          };
+        }
+      }
 
       job.stats.totalResources =
         resources.images.length +
         resources.stylesheets.length +
         resources.scripts.length +
-        resources.fonts.length;
+        resources.fonts.length +
+        resources.media.length;
 
       job.completeStep('Extract resources');
 
       // Step 4: Download resources
       job.updateProgress('Downloading resources...', 30);
-      const downloadedResources = await this.downloadResources(resources, job, url);
+      const downloadedResources = await this.downloadResources(resources, job, url, networkRecorder);
 
       job.completeStep('Download resources');
 
-      // Step 5: Get HTML content
+      // Step 5: Get HTML content (open shadow roots as declarative shadow DOM)
       job.updateProgress('Processing HTML...', 70);
-      const html = await page.content();
+      const html = frameCapture ? frameCapture.html : await FrameSerializer.serialize(page.mainFrame());
 
       // Step 6: Get page title
       const title = await page.title();
 
-      // Step 7: Rewrite paths in HTML
-      const processedHtml = await this.processHtml(html, downloadedResources, url);
+      // Step 6.5: Screenshots and browser-native MHTML snapshot (keeps shadow DOM and CSSOM styles)
+      const screenshots = options.includeScreenshot
+        ? await PageSnapshot.captureScreenshots(page, options.screenshotFormat)
+        : null;
+      const mhtml = options.includeMhtml ? await PageSnapshot.captureMhtml(page) : null;
+
+      // Step 7: Rewrite paths in HTML and point iframes at stored frames
+      let processedHtml = await this.processHtml(html, downloadedResources, url);
+      const frames = frameCapture ? await this.buildStoredFrames(frameCapture.frames, downloadedResources) : [];
+
+      if (frames.length > 0) {
+        processedHtml = FrameSerializer.rewriteFrameSources(
+          processedHtml,
+          new Map(frames.map(frame => [String(frame.index), frame.file]))
+        );
+      }
 
       job.completeStep('Process HTML');
 
@@ -136,11 +212,38 @@ class WebCaptureService {
         title,
         downloadedResources,
         processedHtml,
-        options
+        {
+          ...options,
+          mhtml,
+          screenshots,
+          frames
+        }
       );
 
       job.completeStep('Save capture');
 
+      // Step 9: Write WARC/WACZ archive
+      if (options.warc?.enabled) {
+        job.updateProgress('Writing WARC archive...', 90);
+
+        const documentUrl = documentExchanges.length > 0
+          ? documentExchanges[documentExchanges.length - 1].url
+          : url;
+
+        captureResult.metadata = await this.writeArchive(
+          captureResult,
+          [...documentExchanges, ...downloadedResources.exchanges],
+          [{ url: documentUrl, title, date: captureResult.metadata.capturedAt }],
+          options
+        );
+
+        job.completeStep('Writing WARC archive...');
+      }
+
+      // Step 10: Render library thumbnail
+      job.updateProgress('Generating thumbnail...', 95);
+      captureResult.metadata = await this.generateThumbnail(captureResult.id) || captureResult.metadata;
+
       // Complete job with capture info
       job.complete(captureResult.path, {
         captureId: captureResult.id,
@@ -166,7 +269,11 @@ class WebCaptureService {
       // Step 1: Crawl pages
       job.updateProgress('Crawling pages...', 5);
 
-      const pages = await this.multiPageCrawler.crawl(url, options, job);
+      // Shared across crawled pages so resources are stored from the browser
+      const networkRecorder = options.networkCapture
+        ? new NetworkRecorder({ requestContext: new RequestContext(options, url) })
+        : null;
+      const pages = await this.multiPageCrawler.crawl(url, options, job, networkRecorder);
 
       console.log(`[WebCaptureService] Crawled ${pages.length} pages`);
 
@@ -188,10 +295,11 @@ class WebCaptureService {
         allResources.images.length +
         allResources.stylesheets.length +
         allResources.scripts.length +
-        allResources.fonts.length;
+        allResources.fonts.length +
+        allResources.media.length;
 
       // Download merged resources
-      const downloadedResources = await this.downloadResources(allResources, job);
+      const downloadedResources = await this.downloadResources(allResources, job, null, networkRecorder);
 
       job.completeStep('Download resources');
 
@@ -200,27 +308,58 @@ class WebCaptureService {
         this.updatePageResourcePaths(page, downloadedResources);
       });
 
-      // Step 4: Process and save to persistent storage
+      // Step 4: Rewrite every page to local resources and local page links
+      job.updateProgress('Processing pages...', 80);
+
+      const storedPages = await this.buildStoredPages(pages, downloadedResources);
+
+      job.completeStep('Processing pages...');
+
+      // Step 5: Save all pages to persistent storage
       job.updateProgress('Saving multi-page capture to storage...', 85);
 
-      // Use the first page's HTML and title
-      const mainPage = pages[0];
-      const processedHtml = mainPage.html;
+      const mainPage = storedPages[0];
       const title = mainPage.title || url;
 
       const captureResult = await this.captureStorage.saveCapture(
         url,
         title,
         downloadedResources,
-        processedHtml,
+        mainPage.html,
         {
           ...options,
-          pages: pages.map(p => ({ url: p.url, title: p.title }))
+          pages: storedPages,
+          screenshots: pages[0].screenshots
         }
       );
 
       job.completeStep('Save capture');
 
+      // Step 6: Write WARC/WACZ archive
+      if (options.warc?.enabled) {
+        job.updateProgress('Writing WARC archive...', 90);
+
+        const documentExchanges = pages.flatMap(page => page.exchanges || []);
+        const archivePages = pages.map(page => ({
+          url: page.exchanges?.length ? page.exchanges[page.exchanges.length - 1].url : page.url,
+          title: page.title,
+          date: captureResult.metadata.capturedAt
+        }));
+
+        captureResult.metadata = await this.writeArchive(
+          captureResult,
+          [...documentExchanges, ...downloadedResources.exchanges],
+          archivePages,
+          options
+        );
+
+        job.completeStep('Writing WARC archive...');
+      }
+
+      // Step 7: Render library thumbnail
+      job.updateProgress('Generating thumbnail...', 95);
+      captureResult.metadata = await this.generateThumbnail(captureResult.id) || captureResult.metadata;
+
       // Complete job with capture info
       job.complete(captureResult.path, {
         captureId: captureResult.id,
@@ -232,6 +371,168 @@ class WebCaptureService {
     }
   }
 
+  /**
+   * Rewrite captured frames to local resources for frames/frame_N.html
+   * Returns entries { index, url, file, html } for storage
+   */
+  async buildStoredFrames(frames, downloadedResources) {
+    // Frames link to each other from inside frames/
+    const siblingFiles = new Map(frames.map(entry => [String(entry.index), `frame_${entry.index}.html`]));
+    const storedFrames = [];
+
+    for (const entry of frames) {
+      let html = await this.processHtml(entry.html, downloadedResources, entry.baseUrl);
+      html = this.zipBuilder.adjustResourcePathsForSubfolder(html);
+      html = FrameSerializer.rewriteFrameSources(html, siblingFiles);
+
+      storedFrames.push({
+        index: entry.index,
+        url: entry.url,
+        file: `frames/frame_${entry.index}.html`,
+        html
+      });
+    }
+
+    return storedFrames;
+  }
+
+  /**
+   * Write the capture's HTTP exchanges as archive.warc.gz
+   * (and archive.wacz when requested) and record them in metadata
+   */
+  async writeArchive(captureResult, exchanges, pages, options) {
+    const info = {
+      title: captureResult.metadata.title,
+      url: captureResult.metadata.url
+    };
+
+    const warcPath = path.join(captureResult.path, 'archive.warc.gz');
+    const entries = await this.warcWriter.writeWarc(exchanges, warcPath, info);
+
+    const archive = {
+      warc: path.basename(warcPath),
+      wacz: null,
+      responses: entries.length
+    };
+
+    if (options.warc.wacz) {
+      const waczPath = path.join(captureResult.path, 'archive.wacz');
+      await this.warcWriter.writeWacz(warcPath, entries, pages, waczPath, info);
+      archive.wacz = path.basename(waczPath);
+    }
+
+    return this.captureStorage.setArchive(captureResult.id, archive);
+  }
+
+  /**
+   * Render and record the library thumbnail of a stored capture
+   * Returns updated metadata, or null if rendering failed
+   */
+  async generateThumbnail(captureId) {
+    try {
+      const capture = await this.captureStorage.getCapture(captureId);
+      const thumbnail = await this.thumbnails.generate(capture.path);
+      return await this.captureStorage.setThumbnail(captureId, thumbnail);
+    } catch (error) {
+      // A missing thumbnail shouldn't fail the capture
+      console.warn(`[WebCaptureService] Thumbnail generation failed for ${captureId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generate thumbnails for stored captures that don't have one yet
+   * Processes at most `limit` captures per call, in index order after the
+   * capture id `after`; pass the returned nextCursor to continue, so forced
+   * runs advance and captures that keep failing don't block the rest
+   */
+  async backfillThumbnails({ force = false, limit = 50, after = null } = {}) {
+    const index = await this.captureStorage.loadIndex();
+    let captures = index.captures;
+
+    if (after) {
+      const position = captures.findIndex(c => c.id === after);
+      if (position === -1) {
+        throw new Error(`Capture ${after} not found`);
+      }
+      captures = captures.slice(position + 1);
+    }
+
+    const pending = captures.filter(c => force || !c.thumbnail);
+    const batch = pending.slice(0, limit);
+    const remaining = pending.length - batch.length;
+
+    const result = {
+      generated: [],
+      failed: [],
+      remaining,
+      nextCursor: remaining > 0 ? batch[batch.length - 1].id : null
+    };
+
+    for (const capture of batch) {
+      const metadata = await this.generateThumbnail(capture.id);
+      if (metadata) {
+        result.generated.push(capture.id);
+      } else {
+        result.failed.push(capture.id);
+      }
+    }
+
+    console.log(`[WebCaptureService] Thumbnail backfill: ${result.generated.length} generated, ${result.failed.length} failed, ${result.remaining} remaining`);
+
+    return result;
+  }
+
+  /**
+   * Process crawled pages into files for storage
+   * The first page becomes index.html, the rest pages/page_N.html
+   * (same layout as ZipBuilderService.buildMultiPageZip)
+   */
+  async buildStoredPages(pages, downloadedResources) {
+    const pageMap = new Map();
+    pages.forEach((page, index) => {
+      const file = index === 0 ? 'index.html' : `pages/page_${index}.html`;
+      pageMap.set(page.url.split('#')[0], file);
+    });
+
+    // Links to redirects and collapsed duplicates point at the page they lead to
+    pages.forEach(page => {
+      (page.aliases || []).forEach(alias => {
+        const key = alias.split('#')[0];
+        if (!pageMap.has(key)) pageMap.set(key, pageMap.get(page.url.split('#')[0]));
+      });
+    });
+
+    const storedPages = [];
+
+    for (let index = 0; index < pages.length; index++) {
+      const page = pages[index];
+      const file = pageMap.get(page.url.split('#')[0]);
+
+      let html = await this.processHtml(page.html, downloadedResources, page.url);
+
+      if (index > 0) {
+        html = this.zipBuilder.adjustResourcePathsForSubfolder(html);
+      }
+
+      html = this.zipBuilder.rewriteInterPageLinks(html, page.url, file, pageMap);
+
+      storedPages.push({
+        url: page.url,
+        title: page.title || page.url,
+        depth: page.depth || 0,
+        file,
+        html,
+        mhtml: page.mhtml,
+        ...(page.redirectChain?.length > 0 && { redirectChain: page.redirectChain }),
+        ...(page.canonicalUrl && { canonicalUrl: page.canonicalUrl }),
+        ...(page.aliases?.length > 0 && { aliases: page.aliases })
+      });
+    }
+
+    return storedPages;
+  }
+
   /**
    * Trigger lazy-loaded images by scrolling through the page
    */
@@ -282,100 +583,68 @@ class WebCaptureService {
 
   /**
    * Download resources to local storage
+   * Downloads run in parallel within the capture's global and per-host limits
+   * Resources recorded by networkRecorder are stored without a new request
    */
-  async downloadResources(resources, job, baseUrl) {
-    const downloader = new ResourceDownloader(this.tempDir, baseUrl);
+  async downloadResources(resources, job, baseUrl, networkRecorder = null) {
+    const requestContext = new RequestContext(job.options, job.url);
+    const downloader = new ResourceDownloader(this.tempDir, baseUrl, {
+      recordExchanges: job.options.warc?.enabled,
+      requestContext,
+      networkRecorder,
+      userAgent: job.options.userAgent,
+      concurrency: job.options.downloads?.concurrency,
+      perHost: job.options.downloads?.perHost,
+      hostDelay: job.options.downloads?.hostDelay
+    });
     const downloaded = {
       images: [],
       stylesheets: [],
       scripts: [],
-      fonts: []
+      fonts: [],
+      pdfs: [],
+      media: [],
+      exchanges: downloader.getExchanges() // Raw HTTP exchanges for WARC output
     };
 
-    // Download images
-    if (resources.images && resources.images.length > 0) {
-      console.log(`[WebCaptureService] Downloading ${resources.images.length} images...`);
-
-      for (const image of resources.images) {
-        try {
-          const result = await downloader.downloadResource(image.url, 'images');
-          downloaded.images.push({
-            ...image,
-            url: result.url, // Use normalized URL from downloader (fixes protocol-relative URLs)
-            localPath: result.localPath,
-            filename: result.filename
-          });
-          job.stats.succeeded.images++;
-          job.stats.resourcesDownloaded++;
-        } catch (error) {
-          job.stats.failed.images.push({ url: image.url, error: error.message });
-        }
-      }
-    }
-
-    // Download stylesheets
-    if (resources.stylesheets && resources.stylesheets.length > 0) {
-      for (const css of resources.stylesheets) {
-        if (css.inline) {
-          downloaded.stylesheets.push(css); // Keep inline CSS as-is
-          job.stats.succeeded.stylesheets++;
-        } else {
-          try {
-            const result = await downloader.downloadResource(css.url, 'css');
-            downloaded.stylesheets.push({
-              ...css,
-              url: result.url, // Use normalized URL from downloader
-              localPath: result.localPath,
-              filename: result.filename
-            });
-            job.stats.succeeded.stylesheets++;
-            job.stats.resourcesDownloaded++;
-          } catch (error) {
-            job.stats.failed.stylesheets.push({ url: css.url, error: error.message });
-          }
-        }
-      }
-    }
-
-    // Download scripts
-    if (resources.scripts && resources.scripts.length > 0) {
-      for (const script of resources.scripts) {
-        try {
-          const result = await downloader.downloadResource(script.url, 'js');
-          downloaded.scripts.push({
-            ...script,
-            url: result.url, // Use normalized URL from downloader
-            localPath: result.localPath,
-            filename: result.filename
-          });
-          job.stats.succeeded.scripts++;
-          job.stats.resourcesDownloaded++;
-        } catch (error) {
-          job.stats.failed.scripts.push({ url: script.url, error: error.message });
-        }
-      }
-    }
+    // Inline CSS is kept as-is
+    const stylesheets = resources.stylesheets || [];
+    stylesheets.filter(css => css.inline).forEach(css => {
+      downloaded.stylesheets.push(css);
+      job.stats.succeeded.stylesheets++;
+    });
 
-    // Download fonts
-    if (resources.fonts && resources.fonts.length > 0) {
-      console.log(`[WebCaptureService] Downloading ${resources.fonts.length} fonts...`);
-
-      for (const font of resources.fonts) {
-        try {
-          const result = await downloader.downloadResource(font.url, 'fonts');
-          downloaded.fonts.push({
-            ...font,
-            url: result.url, // Use normalized URL from downloader
-            localPath: result.localPath,
-            filename: result.filename
-          });
-          job.stats.succeeded.fonts++;
-          job.stats.resourcesDownloaded++;
-        } catch (error) {
-          job.stats.failed.fonts.push({ url: font.url, error: error.message });
-        }
-      }
-    }
+    const pdfLinks = job.options.includePDFs && resources.links && resources.links.length > 0
+      ? await this.resourceExtractor.findPdfLinks(resources.links, requestContext)
+      : [];
+
+    // Poster-only mode keeps subtitle tracks but leaves audio/video files online
+    const mediaOptions = job.options.media || {};
+    const mediaItems = mediaOptions.enabled === false
+      ? []
+      : (resources.media || []).filter(item => mediaOptions.mode !== 'poster' || item.kind === 'track');
+    const mediaMaxSize = (mediaOptions.maxSize || 100) * 1024 * 1024;
+
+    console.log(`[WebCaptureService] Downloading ${(resources.images || []).length} images, ` +
+      `${stylesheets.length} stylesheets, ${(resources.scripts || []).length} scripts, ` +
+      `${(resources.fonts || []).length} fonts, ${pdfLinks.length} PDFs, ${mediaItems.length} media files...`);
+
+    // All groups share the downloader's limits, so they run side by side
+    const [images, css, scripts, fonts, pdfs, media] = await Promise.all([
+      this.downloadGroup(downloader, resources.images || [], 'images', 'images', job),
+      this.downloadGroup(downloader, stylesheets.filter(css => !css.inline), 'css', 'stylesheets', job),
+      this.downloadGroup(downloader, resources.scripts || [], 'js', 'scripts', job),
+      this.downloadGroup(downloader, resources.fonts || [], 'fonts', 'fonts', job),
+      this.downloadGroup(downloader, pdfLinks, 'pdfs', 'pdfs', job),
+      this.downloadGroup(downloader, mediaItems, 'media', 'media', job, { maxSize: mediaMaxSize })
+    ]);
+
+    downloaded.images.push(...images);
+    downloaded.stylesheets.push(...css);
+    downloaded.scripts.push(...scripts);
+    downloaded.fonts.push(...fonts);
+    downloaded.pdfs.push(...pdfs);
+    downloaded.media.push(...media);
 
     // Download favicon
     if (resources.favicon) {
@@ -392,6 +661,11 @@ class WebCaptureService {
       }
     }
 
+    // XHR/fetch responses (e.g. JSON data) are kept in the WARC for replay
+    if (job.options.warc?.enabled && networkRecorder) {
+      downloaded.exchanges.push(...networkRecorder.getEntries(['xhr', 'fetch']));
+    }
+
     console.log(`[WebCaptureService] Downloaded ${job.stats.resourcesDownloaded} resources`);
 
     // Process CSS files to rewrite url() references
@@ -401,61 +675,66 @@ class WebCaptureService {
   }
 
   /**
-   * Process downloaded CSS files to rewrite url() references
+   * Download one resource group (images, css, ...) in parallel
+   * Returns the items that succeeded, in input order, with local paths
+   * statKey is the job.stats.succeeded/failed key of the group; resources
+   * over options.maxSize are recorded in job.stats.skipped instead of failed
+   */
+  async downloadGroup(downloader, items, subfolder, statKey, job, options = {}) {
+    if (items.length === 0) return [];
+
+    const { succeeded, failed } = await downloader.downloadResources(items.map(item => item.url), subfolder, options);
+    const results = new Map(succeeded.map(result => [result.sourceUrl, result]));
+
+    failed.forEach(({ url, error, tooLarge, size }) => {
+      if (tooLarge) {
+        job.stats.skipped[statKey].push({ url, size, reason: error });
+      } else {
+        job.stats.failed[statKey].push({ url, error });
+      }
+    });
+
+    return items
+      .filter(item => results.has(item.url))
+      .map(item => {
+        const result = results.get(item.url);
+        job.stats.succeeded[statKey]++;
+        job.stats.resourcesDownloaded++;
+
+        return {
+          ...item,
+          url: result.url, // Use normalized URL from downloader (fixes protocol-relative URLs)
+          localPath: result.localPath,
+          filename: result.filename,
+          ...(['pdfs', 'media'].includes(statKey) ? { size: result.size } : {})
+        };
+      });
+  }
+
+  /**
+   * Process downloaded CSS files to rewrite @import, url() and image-set() references
    */
   async processCssFiles(resources) {
     const fs = require('fs').promises;
 
-    // Build URL map for quick lookups
-    const urlMap = new Map();
-    [
+    // CSS is in temp/css/file.css, resources are in temp/images/img.jpg: ../images/img.jpg
+    const localPathFor = this.buildLocalPathLookup([
       ...(resources.images || []),
-      ...(resources.fonts || [])
-    ].forEach(resource => {
-      if (resource.url && resource.localPath) {
-        urlMap.set(resource.url, resource.localPath);
-      }
-    });
+      ...(resources.fonts || []),
+      ...(resources.stylesheets || [])
+    ], '../');
 
     // Process each CSS file
     for (const css of resources.stylesheets || []) {
       if (css.inline || !css.localPath) continue;
 
       try {
-        // Read CSS file
-        let cssContent = await fs.readFile(css.localPath, 'utf8');
-        let modified = false;
-
-        // Find all url() references
-        cssContent = cssContent.replace(/url\(['"]?([^'")]+)['"]?\)/gi, (match, urlPath) => {
-          // Skip data URLs
-          if (urlPath.startsWith('data:')) return match;
-
-          try {
-            // Convert to absolute URL
-            const absoluteUrl = new URL(urlPath, css.url).href;
-
-            // Check if we have this resource
-            if (urlMap.has(absoluteUrl)) {
-              const localPath = urlMap.get(absoluteUrl);
-              // Get relative path from css/ to the resource
-              // CSS is in temp/css/file.css, resource is in temp/images/img.jpg
-              // We need: ../images/img.jpg
-              const parts = localPath.split('/');
-              const relativePath = '../' + parts.slice(-2).join('/');
-              modified = true;
-              return `url("${relativePath}")`;
-            }
-          } catch (e) {
-            // Invalid URL, keep original
-          }
-
-          return match;
-        });
+        const cssContent = await fs.readFile(css.localPath, 'utf8');
+        const rewritten = CssDependencies.rewrite(cssContent, css.url, localPathFor);
 
         // Write back if modified
-        if (modified) {
-          await fs.writeFile(css.localPath, cssContent, 'utf8');
+        if (rewritten !== cssContent) {
+          await fs.writeFile(css.localPath, rewritten, 'utf8');
           console.log(`[WebCaptureService] Rewrote CSS file: ${css.localPath}`);
         }
       } catch (error) {
@@ -464,6 +743,25 @@ class WebCaptureService {
     }
   }
 
+  /**
+   * Build a lookup from absolute URL to local path (subfolder/filename)
+   * URL fragments (SVG sprites) are kept on the local path
+   */
+  buildLocalPathLookup(resources, prefix = '') {
+    const urlMap = new Map();
+    resources.forEach(resource => {
+      if (resource && resource.url && resource.localPath) {
+        urlMap.set(resource.url, resource.localPath.split('/').slice(-2).join('/'));
+      }
+    });
+
+    return url => {
+      const [resourceUrl, fragment] = url.split('#');
+      const localPath = urlMap.get(resourceUrl);
+      return localPath ? `${prefix}${localPath}${fragment ? `#${fragment}` : ''}` : null;
+    };
+  }
+
   /**
    * Process HTML (path rewriting, etc.)
    * Rewrite src/href attributes to point to local downloaded resources
@@ -496,7 +794,9 @@ class WebCaptureService {
       ...(resources.images || []),
       ...(resources.stylesheets || []),
       ...(resources.scripts || []),
-      ...(resources.fonts || [])
+      ...(resources.fonts || []),
+      ...(resources.pdfs || []),
+      ...(resources.media || [])
     ];
 
     // Add favicon if present
@@ -603,6 +903,39 @@ class WebCaptureService {
       }
     });
 
+    // Rewrite url(), @import and image-set() references in <style> blocks and style attributes
+    const localPathFor = this.buildLocalPathLookup(allResources);
+
+    $('style').each((i, el) => {
+      const css = $(el).html() || '';
+      const rewritten = CssDependencies.rewrite(css, baseUrl, localPathFor);
+      if (rewritten !== css) $(el).text(rewritten);
+    });
+
+    $('[style*="url("], [style*="image-set("]').each((i, el) => {
+      $(el).attr('style', CssDependencies.rewrite($(el).attr('style'), baseUrl, localPathFor));
+    });
+
+    // Rewrite audio/video sources, subtitle tracks and posters
+    // Media that was not stored (oversized, poster-only mode) keeps an absolute URL to the original
+    $('video[src], audio[src], video source[src], audio source[src], track[src]').each((i, el) => {
+      try {
+        const absoluteUrl = new URL($(el).attr('src'), baseUrl).href;
+        $(el).attr('src', urlToLocalPath.get(absoluteUrl) || absoluteUrl);
+      } catch (e) {
+        // Invalid URL, keep original
+      }
+    });
+
+    $('video[poster]').each((i, el) => {
+      try {
+        const absoluteUrl = new URL($(el).attr('poster'), baseUrl).href;
+        $(el).attr('poster', urlToLocalPath.get(absoluteUrl) || absoluteUrl);
+      } catch (e) {
+        // Invalid URL, keep original
+      }
+    });
+
     // Rewrite link href attributes (stylesheets)
     $('link[rel="stylesheet"]').each((i, el) => {
       const href = $(el).attr('href');
@@ -647,15 +980,16 @@ class WebCaptureService {
       const href = $(el).attr('href');
       if (href) {
         try {
-          const absoluteUrl = new URL(href, baseUrl).href;
+          // Resources are keyed without fragments (e.g. policy.pdf#page=3)
+          const [absoluteUrl, fragment] = new URL(href, baseUrl).href.split('#');
 
-          // Check if this link points to an image we downloaded
+          // Check if this link points to an image or PDF we downloaded
           if (urlToLocalPath.has(absoluteUrl)) {
             const localPath = urlToLocalPath.get(absoluteUrl);
 
-            // Only rewrite if it looks like an image link
-            if (localPath.match(/\.(jpg|jpeg|png|gif|svg|webp)/i)) {
-              $(el).attr('href', localPath);
+            // Only rewrite if it looks like an image or archived PDF link
+            if (localPath.match(/\.(jpg|jpeg|png|gif|svg|webp)/i) || localPath.startsWith('pdfs/')) {
+              $(el).attr('href', fragment ? `${localPath}#${fragment}` : localPath);
               imageLinksRewritten++;
             }
           } else if (href.match(/\/wiki\/File:/i)) {
@@ -716,7 +1050,9 @@ class WebCaptureService {
       if (href.startsWith('images/') ||
           href.startsWith('css/') ||
           href.startsWith('js/') ||
-          href.startsWith('fonts/')) {
+          href.startsWith('fonts/') ||
+          href.startsWith('pdfs/') ||
+          href.startsWith('media/')) {
         return;
       }
 
@@ -743,13 +1079,17 @@ class WebCaptureService {
       images: [],
       stylesheets: [],
       scripts: [],
-      fonts: []
+      fonts: [],
+      media: [],
+      links: []
     };
 
     const imageUrls = new Set();
     const cssUrls = new Set();
     const jsUrls = new Set();
     const fontUrls = new Set();
+    const mediaUrls = new Set();
+    const linkUrls = new Set();
 
     pages.forEach(page => {
       if (!page.resources) return;
@@ -794,6 +1134,26 @@ class WebCaptureService {
           }
         });
       }
+
+      // Merge audio/video files and tracks
+      if (page.resources.media) {
+        page.resources.media.forEach(media => {
+          if (!mediaUrls.has(media.url)) {
+            mediaUrls.add(media.url);
+            merged.media.push(media);
+          }
+        });
+      }
+
+      // Merge link targets
+      if (page.resources.links) {
+        page.resources.links.forEach(link => {
+          if (!linkUrls.has(link)) {
+            linkUrls.add(link);
+            merged.links.push(link);
+          }
+        });
+      }
     });
 
     return merged;
@@ -196,6 +196,21 @@ class ZipBuilderService {
       }
     }
 
+    // Add linked PDFs
+    if (resources.pdfs && resources.pdfs.length > 0) {
+      const pdfs = zip.folder('pdfs');
+      for (const pdf of resources.pdfs) {
+        if (pdf.localPath) {
+          try {
+            const buffer = await fs.readFile(pdf.localPath);
+            pdfs.file(pdf.filename, buffer);
+          } catch (error) {
+            console.warn(`[ZipBuilder] Failed to add PDF: ${pdf.filename}`);
+          }
+        }
+      }
+    }
+
     // Add favicon
     if (resources.favicon && resources.favicon.localPath) {
       try {
@@ -306,12 +321,33 @@ class ZipBuilderService {
       $script.attr('src', `../${src}`);
     });
 
-    // Adjust inline styles with url()
+    // Adjust audio/video, subtitle track and poster paths
+    $('video[src^="media/"], audio[src^="media/"], source[src^="media/"], track[src^="media/"]').each((i, el) => {
+      const $media = $(el);
+      $media.attr('src', `../${$media.attr('src')}`);
+    });
+
+    $('video[poster^="images/"]').each((i, el) => {
+      const $video = $(el);
+      $video.attr('poster', `../${$video.attr('poster')}`);
+    });
+
+    // Adjust links to downloaded images and PDFs
+    $('a[href^="images/"], a[href^="pdfs/"]').each((i, el) => {
+      const $a = $(el);
+      const href = $a.attr('href');
+      $a.attr('href', `../${href}`);
+    });
+
+    // Adjust url() and image-set() paths in <style> blocks and style attributes
+    const adjustCss = css => css.replace(/(url\(\s*|image-set\([^)]*?|,\s*)(["']?)(images|fonts|css)\//gi, '$1$2../$3/');
+
     $('style').each((i, el) => {
-      let css = $(el).html();
-      css = css.replace(/url\(["']?images\//gi, 'url(../images/');
-      css = css.replace(/url\(["']?fonts\//gi, 'url(../fonts/');
-      $(el).html(css);
+      $(el).text(adjustCss($(el).html() || ''));
+    });
+
+    $('[style*="url("], [style*="image-set("]').each((i, el) => {
+      $(el).attr('style', adjustCss($(el).attr('style')));
     });
 
     return $.html();
@@ -0,0 +1,68 @@
+/**
+ * Concurrency Limiter Utility
+ *
+ * Runs async tasks with a global concurrency limit and a limit per key
+ * (e.g. per host), starting queued tasks in order as slots free up
+ */
+
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 8; // Tasks running at once
+    this.perKey = options.perKey || 4; // Tasks running at once for the same key
+    this.active = 0;
+    this.activeByKey = new Map(); // key -> running task count
+    this.queue = [];
+  }
+
+  /**
+   * Run a task when a global and a per-key slot are free
+   * @param {string} key - Grouping key (e.g. hostname)
+   * @param {Function} task - Async function to run
+   * @returns {Promise} Resolves or rejects with the task's result
+   */
+  run(key, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ key, task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Helper: Start queued tasks that fit the limits
+   * Tasks for a saturated key do not block tasks for other keys
+   */
+  next() {
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency; i++) {
+      const item = this.queue[i];
+      if ((this.activeByKey.get(item.key) || 0) >= this.perKey) continue;
+
+      this.queue.splice(i, 1);
+      i--;
+      this.start(item);
+    }
+  }
+
+  /**
+   * Helper: Run one task and release its slots when it settles
+   */
+  start({ key, task, resolve, reject }) {
+    this.active++;
+    this.activeByKey.set(key, (this.activeByKey.get(key) || 0) + 1);
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        const remaining = this.activeByKey.get(key) - 1;
+        if (remaining > 0) {
+          this.activeByKey.set(key, remaining);
+        } else {
+          this.activeByKey.delete(key);
+        }
+        this.next();
+      });
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -7,6 +7,8 @@
  * Ported from Chrome extension content.js
  */
 
+const UrlNormalizer = require('./url-normalizer');
+
 class ContentDetector {
   /**
    * Selectors for finding main content areas
@@ -154,38 +156,29 @@ class ContentDetector {
   }
 
   /**
-   * Filter links by domain (for same-domain-only option)
+   * Check a hostname against the crawl's base domain
+   * Subdomain matching ignores a leading 'www.' (www.example.com covers docs.example.com)
    */
-  static filterLinksByDomain(links, baseDomain) {
-    return links.filter(link => {
-      try {
-        const linkDomain = new URL(link).hostname;
-        return linkDomain === baseDomain;
-      } catch (e) {
-        return false;
-      }
-    });
+  static isSameDomain(hostname, baseDomain, includeSubdomains = false) {
+    if (hostname === baseDomain) return true;
+    if (!includeSubdomains) return false;
+
+    const root = baseDomain.replace(/^www\./, '');
+    return hostname === root || hostname.endsWith(`.${root}`);
   }
 
   /**
-   * Deduplicate links (remove fragments, trailing slashes)
+   * Deduplicate links that lead to the same page (keeps the first of each)
+   * @param {UrlNormalizer} normalizer - URL key rules (defaults apply when omitted)
    */
-  static deduplicateLinks(links) {
+  static deduplicateLinks(links, normalizer = new UrlNormalizer()) {
     const normalized = new Map();
 
     links.forEach(link => {
-      try {
-        const url = new URL(link);
-        // Remove fragment
-        url.hash = '';
-        // Normalize trailing slash
-        let normalized_url = url.href.replace(/\/$/, '');
-
-        if (!normalized.has(normalized_url)) {
-          normalized.set(normalized_url, link);
-        }
-      } catch (e) {
-        // Invalid URL, skip
+      const key = normalizer.key(link);
+
+      if (key && !normalized.has(key)) {
+        normalized.set(key, link);
       }
     });
 
@@ -0,0 +1,243 @@
+/**
+ * Crawl Scope Utility
+ *
+ * Decides which discovered links a crawl follows (multiPage.scope):
+ *   - include / exclude: globs or 're:' regular expressions; globs starting
+ *     with '/' match the path and query, other globs and regexes the full URL
+ *     ('*' stays within a path segment, '**' crosses segments)
+ *   - pathPrefix: stay under a path (e.g. '/docs/v2/')
+ *   - includeSubdomains: with sameDomainOnly, also follow subdomains
+ *   - stripQueryParams: query parameters removed before crawling ('utm_*', '*' for all)
+ *   - excludeExtensions: file extensions that are never pages
+ */
+
+const ContentDetector = require('./content-detector');
+const UrlNormalizer = require('./url-normalizer');
+
+// Links with these extensions are files, not pages
+const DEFAULT_EXCLUDED_EXTENSIONS = [
+  'pdf', 'zip', 'gz', 'tgz', 'tar', 'rar', '7z', 'exe', 'dmg', 'msi', 'iso', 'apk',
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico', 'bmp', 'tif', 'tiff',
+  'mp3', 'mp4', 'm4a', 'webm', 'ogg', 'wav', 'avi', 'mov', 'mkv',
+  'css', 'js', 'json', 'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv', 'rss', 'atom'
+];
+
+// Limit on patterns per list
+const MAX_PATTERNS = 50;
+
+class CrawlScope {
+  /**
+   * @param {string} startUrl - Crawl start URL (its host is the base domain)
+   * @param {Object} scope - Normalized scope options (see normalizeOptions)
+   * @param {boolean} sameDomainOnly - Stay on the start URL's domain
+   * @param {UrlNormalizer|null} normalizer - URL normalization rules applied after stripQueryParams
+   */
+  constructor(startUrl, scope = {}, sameDomainOnly = true, normalizer = null) {
+    const options = CrawlScope.normalizeOptions(scope);
+
+    this.baseDomain = new URL(startUrl).hostname;
+    this.sameDomainOnly = sameDomainOnly;
+    this.includeSubdomains = options.includeSubdomains;
+    this.pathPrefix = options.pathPrefix;
+    this.include = options.include.map(pattern => CrawlScope.compile(pattern));
+    this.exclude = options.exclude.map(pattern => CrawlScope.compile(pattern));
+    this.stripQueryParams = options.stripQueryParams.map(name => CrawlScope.compileParam(name));
+    this.excludeExtensions = new Set(options.excludeExtensions);
+    this.normalizer = normalizer;
+  }
+
+  /**
+   * Normalize scope options (defaults for missing fields)
+   */
+  static normalizeOptions(scope = {}) {
+    const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+    return {
+      include: list(scope?.include),
+      exclude: list(scope?.exclude),
+      pathPrefix: typeof scope?.pathPrefix === 'string' && scope.pathPrefix ? scope.pathPrefix : null,
+      includeSubdomains: scope?.includeSubdomains || false,
+      stripQueryParams: list(scope?.stripQueryParams),
+      excludeExtensions: Array.isArray(scope?.excludeExtensions)
+        ? list(scope.excludeExtensions).map(ext => ext.replace(/^\./, '').toLowerCase())
+        : DEFAULT_EXCLUDED_EXTENSIONS
+    };
+  }
+
+  /**
+   * Validate scope options
+   * @returns {string[]} Error messages
+   */
+  static validate(scope) {
+    const errors = [];
+    if (scope === undefined || scope === null) return errors;
+
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+      return ['multiPage.scope must be an object'];
+    }
+
+    ['include', 'exclude', 'stripQueryParams', 'excludeExtensions'].forEach(field => {
+      const value = scope[field];
+      if (value === undefined) return;
+
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        errors.push(`multiPage.scope.${field} must be an array of non-empty strings`);
+      } else if (value.length > MAX_PATTERNS) {
+        errors.push(`multiPage.scope.${field} must have at most ${MAX_PATTERNS} entries`);
+      }
+    });
+
+    ['include', 'exclude'].forEach(field => {
+      if (!Array.isArray(scope[field])) return;
+
+      scope[field].forEach(pattern => {
+        try {
+          CrawlScope.compile(pattern);
+        } catch (error) {
+          errors.push(`multiPage.scope.${field}: invalid pattern "${pattern}" (${error.message})`);
+        }
+      });
+    });
+
+    if (scope.pathPrefix !== undefined && (typeof scope.pathPrefix !== 'string' || !scope.pathPrefix.startsWith('/'))) {
+      errors.push('multiPage.scope.pathPrefix must be a path starting with "/"');
+    }
+
+    if (scope.includeSubdomains !== undefined && typeof scope.includeSubdomains !== 'boolean') {
+      errors.push('multiPage.scope.includeSubdomains must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Normalize a URL for crawling: drop the fragment and stripped query parameters,
+   * then apply the normalizer's rules
+   * @returns {string|null} null for invalid or non-http(s) URLs
+   */
+  normalize(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (!/^https?:$/.test(target.protocol)) return null;
+
+    target.hash = '';
+
+    if (this.stripQueryParams.length > 0) {
+      target.search = UrlNormalizer.removeParams(
+        target.search,
+        name => this.stripQueryParams.some(pattern => pattern.test(name))
+      );
+    }
+
+    return this.normalizer ? this.normalizer.normalize(target.href) : target.href;
+  }
+
+  /**
+   * Check whether a (normalized) URL is in scope
+   * @returns {{allowed: boolean, reason: string|null, detail: string|null}}
+   *   reason is 'domain', 'pathPrefix', 'extension', 'exclude' or 'include'
+   */
+  check(url) {
+    const target = new URL(url);
+    const verdict = (reason, detail) => ({ allowed: false, reason, detail });
+
+    if (this.sameDomainOnly &&
+        !ContentDetector.isSameDomain(target.hostname, this.baseDomain, this.includeSubdomains)) {
+      return verdict('domain', target.hostname);
+    }
+
+    if (this.pathPrefix && !target.pathname.startsWith(this.pathPrefix)) {
+      return verdict('pathPrefix', this.pathPrefix);
+    }
+
+    const extension = (target.pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+    if (extension && this.excludeExtensions.has(extension.toLowerCase())) {
+      return verdict('extension', extension.toLowerCase());
+    }
+
+    const excluded = this.exclude.find(pattern => pattern.test(target));
+    if (excluded) {
+      return verdict('exclude', excluded.source);
+    }
+
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(target))) {
+      return verdict('include', null);
+    }
+
+    return { allowed: true, reason: null, detail: null };
+  }
+
+  /**
+   * Normalize links and keep those in scope (order kept, duplicates removed)
+   */
+  filter(links) {
+    const result = new Set();
+
+    links.forEach(link => {
+      const url = this.normalize(link);
+      if (url && this.check(url).allowed) result.add(url);
+    });
+
+    return [...result];
+  }
+
+  /**
+   * Helper: Compile an include/exclude pattern to { source, test(URL) }
+   * 're:<expression>' is a case-insensitive regular expression; anything else is a glob
+   */
+  static compile(pattern) {
+    if (pattern.startsWith('re:')) {
+      const expression = new RegExp(pattern.slice(3), 'i');
+      return { source: pattern, test: url => expression.test(url.href) };
+    }
+
+    const expression = CrawlScope.globToRegExp(pattern);
+    const pathOnly = pattern.startsWith('/');
+
+    return {
+      source: pattern,
+      test: url => expression.test(pathOnly ? url.pathname + url.search : url.href)
+    };
+  }
+
+  /**
+   * Helper: Compile a query parameter name pattern ('*' wildcard)
+   */
+  static compileParam(name) {
+    const source = name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Helper: Convert a glob to an anchored regular expression
+   * '**' matches anything, '*' anything but '/', '?' one character
+   */
+  static globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*' && glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '.';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+  }
+}
+
+module.exports = CrawlScope;
@@ -0,0 +1,124 @@
+/**
+ * CSS Dependencies Utility
+ *
+ * Finds and rewrites the resources a stylesheet depends on:
+ *   - @import rules (url() and string form, with media queries)
+ *   - url() references (backgrounds, cursors, fonts, SVG sprites)
+ *   - image-set() candidates given as plain strings
+ */
+
+// @import url("a.css") screen;  @import "a.css";
+const IMPORT_PATTERN = /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)([^;]*);/gi;
+
+// @import "a.css"; (url() form is rewritten with other url() references)
+const STRING_IMPORT_PATTERN = /@import\s+(['"])([^'"]+)\1([^;]*);/gi;
+
+// url(a.png), url("a.png"), url('a.png')
+const URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+// image-set("a.png" 1x, "b.png" 2x) (url() candidates are matched by URL_PATTERN)
+const IMAGE_SET_PATTERN = /(?:-webkit-)?image-set\(([^()]*(?:\([^()]*\)[^()]*)*)\)/gi;
+const IMAGE_SET_STRING = /(url\(\s*)?(['"])([^'"]+)\2/g;
+
+// @font-face blocks (their url() targets are fonts)
+const FONT_FACE_PATTERN = /@font-face\s*{([^}]*)}/gi;
+
+// url() targets that are fonts rather than images
+const FONT_EXTENSIONS = /\.(woff2?|ttf|otf|eot)(?:[?#]|$)/i;
+
+class CssDependencies {
+  /**
+   * Find @import rules
+   * @returns {Array<{url, media}>} Absolute stylesheet URLs
+   */
+  static findImports(cssText, baseUrl) {
+    const imports = [];
+
+    for (const match of cssText.matchAll(IMPORT_PATTERN)) {
+      const url = this.resolve(match[2] || match[4], baseUrl);
+      if (url) {
+        imports.push({ url, media: match[5].trim() });
+      }
+    }
+
+    return imports;
+  }
+
+  /**
+   * Find assets referenced by url() and image-set(), excluding @import targets
+   * @returns {Array<{url, type}>} Absolute URLs with type 'font' or 'image'
+   */
+  static findAssets(cssText, baseUrl) {
+    const css = cssText.replace(IMPORT_PATTERN, '');
+    const urls = new Set();
+
+    for (const match of css.matchAll(URL_PATTERN)) {
+      urls.add(this.resolve(match[2], baseUrl));
+    }
+
+    for (const match of css.matchAll(IMAGE_SET_PATTERN)) {
+      for (const candidate of match[1].matchAll(IMAGE_SET_STRING)) {
+        if (!candidate[1]) urls.add(this.resolve(candidate[3], baseUrl));
+      }
+    }
+
+    urls.delete(null);
+
+    const fontUrls = new Set();
+    for (const block of css.matchAll(FONT_FACE_PATTERN)) {
+      for (const match of block[1].matchAll(URL_PATTERN)) {
+        fontUrls.add(this.resolve(match[2], baseUrl));
+      }
+    }
+
+    return [...urls].map(url => ({
+      url,
+      type: fontUrls.has(url) || FONT_EXTENSIONS.test(new URL(url).pathname) ? 'font' : 'image'
+    }));
+  }
+
+  /**
+   * Rewrite @import, url() and image-set() references
+   * localPathFor(absoluteUrl) returns the replacement path, or null to keep the reference
+   */
+  static rewrite(cssText, baseUrl, localPathFor) {
+    const replace = reference => {
+      const url = this.resolve(reference, baseUrl);
+      return url ? localPathFor(url) : null;
+    };
+
+    // Each pass leaves the references rewritten by earlier passes alone
+    return cssText
+      .replace(IMAGE_SET_PATTERN, match => match.replace(IMAGE_SET_STRING, (candidate, urlPrefix, quote, reference) => {
+        if (urlPrefix) return candidate;
+        const localPath = replace(reference);
+        return localPath ? `"${localPath}"` : candidate;
+      }))
+      .replace(URL_PATTERN, (match, quote, reference) => {
+        const localPath = replace(reference);
+        return localPath ? `url("${localPath}")` : match;
+      })
+      .replace(STRING_IMPORT_PATTERN, (match, quote, reference, media) => {
+        const localPath = replace(reference);
+        return localPath ? `@import url("${localPath}")${media};` : match;
+      });
+  }
+
+  /**
+   * Resolve a CSS reference to an absolute http(s) URL
+   * Returns null for data URIs, fragment-only references (SVG filters) and invalid URLs
+   */
+  static resolve(reference, baseUrl) {
+    const value = (reference || '').trim();
+    if (!value || value.startsWith('data:') || value.startsWith('#')) return null;
+
+    try {
+      const url = new URL(value, baseUrl);
+      return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = CssDependencies;
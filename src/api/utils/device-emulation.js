@@ -0,0 +1,142 @@
+/**
+ * Device Emulation Utility
+ *
+ * Applies viewport, device presets and media features
+ * (prefers-color-scheme, prefers-reduced-motion) to a Puppeteer page
+ *
+ * Device presets are Puppeteer's KnownDevices ('iPhone 13', 'Pixel 5',
+ * 'iPad Pro landscape', ...) plus the desktop presets below
+ */
+
+const { KnownDevices } = require('puppeteer');
+
+// Viewport used when neither a device nor a viewport is given
+const DEFAULT_VIEWPORT = { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+
+// Desktop presets (KnownDevices only covers phones and tablets)
+const DESKTOP_PRESETS = {
+  'Desktop': { viewport: { ...DEFAULT_VIEWPORT } },
+  'Desktop HD': { viewport: { ...DEFAULT_VIEWPORT, width: 1920, height: 1080 } },
+  'Laptop': { viewport: { ...DEFAULT_VIEWPORT, width: 1366, height: 768 } },
+  'Desktop Retina': { viewport: { ...DEFAULT_VIEWPORT, width: 1440, height: 900, deviceScaleFactor: 2 } }
+};
+
+const COLOR_SCHEMES = ['light', 'dark'];
+
+// Viewport limits (CSS pixels / scale)
+const MIN_SIZE = 200;
+const MAX_WIDTH = 7680;
+const MAX_HEIGHT = 4320;
+const MAX_SCALE = 4;
+
+class DeviceEmulation {
+  /**
+   * Look up a device preset by name (case-insensitive)
+   * @returns {{ viewport, userAgent? }|null}
+   */
+  static getPreset(name) {
+    if (!name || typeof name !== 'string') return null;
+
+    const presets = { ...DESKTOP_PRESETS, ...KnownDevices };
+    const key = Object.keys(presets).find(preset => preset.toLowerCase() === name.trim().toLowerCase());
+    return key ? presets[key] : null;
+  }
+
+  /**
+   * List available device preset names
+   */
+  static listDevices() {
+    return [...Object.keys(DESKTOP_PRESETS), ...Object.keys(KnownDevices)];
+  }
+
+  /**
+   * Normalize a viewport option
+   * Only fields that are set are kept so they can override a preset
+   */
+  static normalizeViewport(viewport) {
+    if (!viewport || typeof viewport !== 'object') return null;
+
+    const normalized = {};
+
+    if (viewport.width !== undefined) normalized.width = parseInt(viewport.width, 10);
+    if (viewport.height !== undefined) normalized.height = parseInt(viewport.height, 10);
+    if (viewport.deviceScaleFactor !== undefined) normalized.deviceScaleFactor = Number(viewport.deviceScaleFactor);
+    if (viewport.isMobile !== undefined) normalized.isMobile = !!viewport.isMobile;
+    if (viewport.hasTouch !== undefined) normalized.hasTouch = !!viewport.hasTouch;
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Validate emulation options ({ device, viewport, colorScheme })
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validate(options = {}) {
+    const errors = [];
+    const viewport = options.viewport;
+
+    if (options.device && !this.getPreset(options.device)) {
+      errors.push(`Unknown device preset: ${options.device}`);
+    }
+
+    if (viewport) {
+      if (viewport.width !== undefined && !(viewport.width >= MIN_SIZE && viewport.width <= MAX_WIDTH)) {
+        errors.push(`Viewport width must be between ${MIN_SIZE} and ${MAX_WIDTH}`);
+      }
+      if (viewport.height !== undefined && !(viewport.height >= MIN_SIZE && viewport.height <= MAX_HEIGHT)) {
+        errors.push(`Viewport height must be between ${MIN_SIZE} and ${MAX_HEIGHT}`);
+      }
+      if (viewport.deviceScaleFactor !== undefined &&
+          !(viewport.deviceScaleFactor > 0 && viewport.deviceScaleFactor <= MAX_SCALE)) {
+        errors.push(`Viewport deviceScaleFactor must be greater than 0 and at most ${MAX_SCALE}`);
+      }
+    }
+
+    if (options.colorScheme && !COLOR_SCHEMES.includes(options.colorScheme)) {
+      errors.push(`colorScheme must be one of ${COLOR_SCHEMES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the viewport for options: default, then device preset, then explicit fields
+   */
+  static resolveViewport(options = {}) {
+    const preset = this.getPreset(options.device);
+
+    return {
+      ...DEFAULT_VIEWPORT,
+      ...(preset ? preset.viewport : {}),
+      ...(this.normalizeViewport(options.viewport) || {})
+    };
+  }
+
+  /**
+   * Apply emulation options to a page (before navigation)
+   * The preset user agent is only used when no userAgent option is set
+   */
+  static async apply(page, options = {}) {
+    const preset = this.getPreset(options.device);
+
+    await page.setViewport(this.resolveViewport(options));
+
+    if (preset?.userAgent && !options.userAgent) {
+      await page.setUserAgent(preset.userAgent);
+    }
+
+    const features = [];
+    if (options.colorScheme) {
+      features.push({ name: 'prefers-color-scheme', value: options.colorScheme });
+    }
+    if (options.reducedMotion) {
+      features.push({ name: 'prefers-reduced-motion', value: 'reduce' });
+    }
+
+    if (features.length > 0) {
+      await page.emulateMediaFeatures(features);
+    }
+  }
+}
+
+module.exports = DeviceEmulation;
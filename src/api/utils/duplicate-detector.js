@@ -0,0 +1,206 @@
+/**
+ * Duplicate Detector Utility
+ *
+ * Collapses pages a crawl reaches more than once (multiPage.duplicates):
+ *   - 'alias': the URL has the same key as a page already crawled
+ *   - 'redirect': the URL redirected to a page already crawled
+ *   - 'canonical': <link rel="canonical"> names a page already crawled
+ *   - 'content': the visible text is a near-duplicate of a crawled page
+ *     (64-bit SimHash of word shingles within maxDistance bits)
+ * URLs are compared by UrlNormalizer keys, so aliases collapse as well
+ */
+
+const crypto = require('crypto');
+
+// Words per shingle for SimHash
+const SHINGLE_SIZE = 3;
+
+// Pages with less text than this are too short to compare by content
+const MIN_TEXT_LENGTH = 200;
+
+class DuplicateDetector {
+  /**
+   * @param {UrlNormalizer} normalizer - URL key rules
+   * @param {Object} options - Normalized duplicates options (see normalizeOptions)
+   */
+  constructor(normalizer, options = {}) {
+    const rules = DuplicateDetector.normalizeOptions(options);
+
+    this.normalizer = normalizer;
+    this.enabled = rules.enabled;
+    this.honorCanonical = rules.honorCanonical;
+    this.maxDistance = rules.maxDistance;
+    this.claims = new Map(); // URL key -> { url, reason } of the page that owns it
+    this.fingerprints = []; // { url, fingerprint }
+  }
+
+  /**
+   * Normalize duplicate detection options (defaults for missing fields)
+   */
+  static normalizeOptions(options = {}) {
+    const maxDistance = parseInt(options?.maxDistance);
+
+    return {
+      enabled: options?.enabled !== false, // Default: true
+      honorCanonical: options?.honorCanonical !== false, // Default: true
+      // Differing SimHash bits still counted as the same text (0: identical text only)
+      maxDistance: isNaN(maxDistance) ? 3 : Math.min(Math.max(maxDistance, 0), 16)
+    };
+  }
+
+  /**
+   * Validate duplicates options
+   * @returns {string[]} Error messages
+   */
+  static validate(options) {
+    const errors = [];
+    if (options === undefined || options === null) return errors;
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      return ['multiPage.duplicates must be an object'];
+    }
+
+    ['enabled', 'honorCanonical'].forEach(flag => {
+      if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+        errors.push(`multiPage.duplicates.${flag} must be a boolean`);
+      }
+    });
+
+    if (options.maxDistance !== undefined &&
+        (!Number.isInteger(options.maxDistance) || options.maxDistance < 0 || options.maxDistance > 16)) {
+      errors.push('multiPage.duplicates.maxDistance must be an integer between 0 and 16');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a URL before fetching it against the pages crawled so far
+   * @returns {{duplicateOf: string, reason: string}|null} reason 'alias', 'redirect' or 'canonical'
+   */
+  check(url) {
+    if (!this.enabled) return null;
+
+    const claim = this.claims.get(this.normalizer.key(url));
+    return claim && claim.url !== url ? { duplicateOf: claim.url, reason: claim.reason } : null;
+  }
+
+  /**
+   * Check a fetched page; pages that are not duplicates are registered
+   * @param {Object} page - { url, finalUrl, redirectChain, canonicalUrl, fingerprint }
+   * @returns {{duplicateOf: string, reason: string, distance?: number}|null}
+   */
+  register(page) {
+    if (!this.enabled) return null;
+
+    const canonicalUrl = this.honorCanonical ? page.canonicalUrl : null;
+    const ownerOf = url => {
+      const claim = url ? this.claims.get(this.normalizer.key(url)) : null;
+      return claim && claim.url !== page.url ? claim.url : null;
+    };
+
+    for (const [url, reason] of [[page.url, 'alias'], [page.finalUrl, 'redirect'], [canonicalUrl, 'canonical']]) {
+      const owner = ownerOf(url);
+      if (owner) return { duplicateOf: owner, reason };
+    }
+
+    if (page.fingerprint) {
+      for (const entry of this.fingerprints) {
+        const distance = DuplicateDetector.distance(page.fingerprint, entry.fingerprint);
+        if (distance <= this.maxDistance) {
+          return { duplicateOf: entry.url, reason: 'content', distance };
+        }
+      }
+      this.fingerprints.push({ url: page.url, fingerprint: page.fingerprint });
+    }
+
+    // Every URL that led to this page now belongs to it
+    const claims = [
+      [page.url, 'alias'],
+      ...(page.redirectChain || []).map(url => [url, 'redirect']),
+      [page.finalUrl, 'redirect'],
+      [canonicalUrl, 'canonical']
+    ];
+
+    claims.forEach(([url, reason]) => {
+      const key = url ? this.normalizer.key(url) : null;
+      if (key && !this.claims.has(key)) this.claims.set(key, { url: page.url, reason });
+    });
+
+    return null;
+  }
+
+  /**
+   * Read what duplicate detection needs from a loaded page
+   * @param {Page} page - Loaded Puppeteer page
+   * @param {HTTPResponse|null} response - Navigation response from page.goto()
+   * @returns {Promise<{finalUrl, redirectChain, canonicalUrl, fingerprint}>}
+   */
+  static async inspectPage(page, response) {
+    const redirectChain = response
+      ? response.request().redirectChain().map(request => request.url())
+      : [];
+
+    const { canonicalUrl, text } = await page.evaluate(() => {
+      const canonical = document.querySelector('link[rel~="canonical"][href]');
+      return {
+        canonicalUrl: canonical ? canonical.href : null,
+        text: document.body ? document.body.innerText : ''
+      };
+    });
+
+    return {
+      finalUrl: page.url(),
+      redirectChain,
+      canonicalUrl: canonicalUrl && /^https?:/i.test(canonicalUrl) ? canonicalUrl : null,
+      fingerprint: DuplicateDetector.simhash(text)
+    };
+  }
+
+  /**
+   * 64-bit SimHash of a text's word shingles (hex), null for short texts
+   */
+  static simhash(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.join(' ').length < MIN_TEXT_LENGTH) return null;
+
+    // Two 32-bit halves keep the bit arithmetic in plain numbers
+    const weights = [new Array(32).fill(0), new Array(32).fill(0)];
+    const count = Math.max(words.length - SHINGLE_SIZE + 1, 1);
+
+    for (let i = 0; i < count; i++) {
+      const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+      const digest = crypto.createHash('md5').update(shingle).digest();
+
+      [digest.readUInt32BE(0), digest.readUInt32BE(4)].forEach((hash, half) => {
+        for (let bit = 0; bit < 32; bit++) {
+          weights[half][bit] += (hash >>> bit) & 1 ? 1 : -1;
+        }
+      });
+    }
+
+    return weights
+      .map(half => half.reduce((value, weight, bit) => (weight > 0 ? value + 2 ** bit : value), 0))
+      .map(value => value.toString(16).padStart(8, '0'))
+      .join('');
+  }
+
+  /**
+   * Number of differing bits between two fingerprints
+   */
+  static distance(a, b) {
+    let bits = 0;
+
+    for (const offset of [0, 8]) {
+      let diff = (parseInt(a.slice(offset, offset + 8), 16) ^ parseInt(b.slice(offset, offset + 8), 16)) >>> 0;
+      while (diff) {
+        bits += diff & 1;
+        diff >>>= 1;
+      }
+    }
+
+    return bits;
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,154 @@
+/**
+ * Frame Serializer Utility
+ *
+ * Serializes Puppeteer frames to HTML with open shadow roots flattened
+ * into declarative shadow DOM (<template shadowrootmode="open">), and
+ * collects child frames (iframes) so each can be stored as its own file
+ *
+ * Closed shadow roots are not reachable from page scripts and are skipped
+ */
+
+const cheerio = require('cheerio');
+
+// Attribute marking an iframe element with the index of its captured frame
+const FRAME_ATTRIBUTE = 'data-capture-frame';
+
+// Limits for nested frame capture
+const MAX_FRAMES = 20;
+const MAX_FRAME_DEPTH = 3;
+
+class FrameSerializer {
+  /**
+   * Serialize a frame's document, including open shadow roots
+   * Shadow root adoptedStyleSheets are written as <style> blocks
+   * @param {Frame} frame - Puppeteer frame (page.mainFrame() for the page)
+   * @returns {Promise<string>} HTML with doctype
+   */
+  static async serialize(frame) {
+    return frame.evaluate(() => {
+      const MARKER = 'data-capture-shadow';
+
+      // Collect shadow hosts, including hosts inside other shadow roots
+      const hosts = [];
+      const collect = (root, depth) => {
+        root.querySelectorAll('*').forEach(el => {
+          if (el.shadowRoot) {
+            hosts.push({ el, depth });
+            collect(el.shadowRoot, depth + 1);
+          }
+        });
+      };
+      collect(document, 0);
+
+      // Deepest hosts first, so outer templates include inner ones
+      hosts.sort((a, b) => b.depth - a.depth);
+
+      const templates = hosts.map(({ el }) => {
+        const root = el.shadowRoot;
+        const styles = (root.adoptedStyleSheets || []).map(sheet => {
+          try {
+            return `<style>${[...sheet.cssRules].map(rule => rule.cssText).join('\n')}</style>`;
+          } catch {
+            return '';
+          }
+        }).join('');
+
+        const template = document.createElement('template');
+        template.setAttribute('shadowrootmode', 'open');
+        template.setAttribute(MARKER, '');
+        template.innerHTML = styles + root.innerHTML;
+        el.insertBefore(template, el.firstChild);
+        return template;
+      });
+
+      const doctype = document.doctype
+        ? `<!DOCTYPE ${document.doctype.name}${document.doctype.publicId ? ` PUBLIC "${document.doctype.publicId}"` : ''}${document.doctype.systemId ? ` "${document.doctype.systemId}"` : ''}>`
+        : '';
+      const html = doctype + document.documentElement.outerHTML;
+
+      // Restore the live DOM
+      templates.forEach(template => template.remove());
+
+      return html;
+    });
+  }
+
+  /**
+   * Serialize a page and its child frames
+   * Each captured iframe element is marked with data-capture-frame="N"
+   * @returns {Promise<{html: string, frames: Array<{index, url, baseUrl, parentIndex, frame, html}>}>}
+   */
+  static async captureFrames(page, options = {}) {
+    const maxFrames = options.maxFrames || MAX_FRAMES;
+    const maxDepth = options.maxDepth || MAX_FRAME_DEPTH;
+    const frames = [];
+
+    const serializeFrame = async (frame, baseUrl, parentIndex, depth) => {
+      if (depth < maxDepth) {
+        const elements = await frame.$$('iframe, frame');
+
+        for (const element of elements) {
+          if (frames.length >= maxFrames) break;
+
+          try {
+            const child = await element.contentFrame();
+            const url = child ? child.url() : '';
+
+            // Skip frames that never loaded a document
+            if (!child || !/^(https?:|about:(srcdoc|blank))/i.test(url)) continue;
+
+            const entry = {
+              index: frames.length + 1,
+              url,
+              baseUrl: /^https?:/i.test(url) ? url : baseUrl,
+              parentIndex,
+              frame: child,
+              html: null
+            };
+            frames.push(entry);
+
+            entry.html = await serializeFrame(child, entry.baseUrl, entry.index, depth + 1);
+            await element.evaluate((el, attribute, index) => el.setAttribute(attribute, index), FRAME_ATTRIBUTE, String(entry.index));
+          } catch (error) {
+            console.warn('[FrameSerializer] Failed to capture frame:', error.message);
+          } finally {
+            await element.dispose().catch(() => {});
+          }
+        }
+      }
+
+      return this.serialize(frame);
+    };
+
+    const html = await serializeFrame(page.mainFrame(), page.url(), null, 0);
+
+    return {
+      html,
+      frames: frames.filter(entry => entry.html !== null)
+    };
+  }
+
+  /**
+   * Point marked iframe elements at their stored frame files
+   * @param {string} html - Serialized document
+   * @param {Map<string, string>} frameFiles - Frame index -> path relative to the document
+   */
+  static rewriteFrameSources(html, frameFiles) {
+    const $ = cheerio.load(html);
+
+    $(`[${FRAME_ATTRIBUTE}]`).each((i, el) => {
+      const $frame = $(el);
+      const file = frameFiles.get($frame.attr(FRAME_ATTRIBUTE));
+
+      if (file) {
+        $frame.attr('src', file);
+        $frame.removeAttr('srcdoc');
+      }
+      $frame.removeAttr(FRAME_ATTRIBUTE);
+    });
+
+    return $.html();
+  }
+}
+
+module.exports = FrameSerializer;
@@ -0,0 +1,110 @@
+/**
+ * Network Recorder Utility
+ *
+ * Records response bodies from a Puppeteer page's network layer while it
+ * loads, so resources can be stored without downloading them again.
+ * Bodies come from the browser (Network.getResponseBody), with the same
+ * cookies, user agent and session the page was rendered with
+ *
+ * Entries use the HTTP exchange shape of the WARC writer:
+ *   { url, method, date, resourceType, request: { headers },
+ *     response: { status, statusText, headers, body } }
+ */
+
+const RequestContext = require('./request-context');
+
+// Resource types worth keeping (media is streamed in ranges and skipped)
+const RECORDED_TYPES = ['document', 'stylesheet', 'image', 'font', 'script', 'xhr', 'fetch', 'manifest', 'other'];
+
+// Size limits (bytes)
+const MAX_RESOURCE_SIZE = 50 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 500 * 1024 * 1024;
+
+class NetworkRecorder {
+  constructor(options = {}) {
+    this.maxResourceSize = options.maxResourceSize || MAX_RESOURCE_SIZE;
+    this.maxTotalSize = options.maxTotalSize || MAX_TOTAL_SIZE;
+    this.requestContext = options.requestContext || null; // Names custom headers to redact
+    this.entries = new Map(); // URL -> exchange
+    this.pending = new Set();
+    this.totalSize = 0;
+  }
+
+  /**
+   * Start recording responses of a page
+   * Attach before navigation; call flush() before the page is closed
+   */
+  attach(page) {
+    page.on('response', response => {
+      const task = this.record(response).finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    });
+  }
+
+  /**
+   * Wait until bodies of responses received so far are read
+   */
+  async flush() {
+    await Promise.allSettled([...this.pending]);
+  }
+
+  /**
+   * Get the recorded exchange for a URL (null when not recorded)
+   */
+  get(url) {
+    return this.entries.get(url) || null;
+  }
+
+  /**
+   * Get recorded exchanges, optionally filtered by resource type
+   */
+  getEntries(resourceTypes = null) {
+    const entries = [...this.entries.values()];
+    return resourceTypes ? entries.filter(entry => resourceTypes.includes(entry.resourceType)) : entries;
+  }
+
+  /**
+   * Helper: Record one response if it is a complete, successful GET
+   */
+  async record(response) {
+    const request = response.request();
+    const url = response.url();
+    const status = response.status();
+
+    if (request.method() !== 'GET' || status < 200 || status >= 300 || status === 204) return;
+    if (!/^https?:/i.test(url) || this.entries.has(url)) return;
+    if (!RECORDED_TYPES.includes(request.resourceType())) return;
+
+    const headers = response.headers();
+    const declaredSize = parseInt(headers['content-length'], 10);
+    if (declaredSize > this.maxResourceSize) return;
+
+    let body;
+    try {
+      body = await response.buffer();
+    } catch {
+      return; // Body not available (e.g. page navigated away or request aborted)
+    }
+
+    if (body.length > this.maxResourceSize || this.totalSize + body.length > this.maxTotalSize) {
+      return;
+    }
+
+    this.totalSize += body.length;
+    this.entries.set(url, {
+      url,
+      method: 'GET',
+      date: new Date(),
+      resourceType: request.resourceType(),
+      request: { headers: RequestContext.redactHeaders(request.headers(), this.requestContext) },
+      response: {
+        status,
+        statusText: response.statusText(),
+        headers,
+        body
+      }
+    });
+  }
+}
+
+module.exports = NetworkRecorder;
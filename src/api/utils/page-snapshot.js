@@ -0,0 +1,56 @@
+/**
+ * Page Snapshot Utility
+ *
+ * Takes browser-native snapshots of a loaded Puppeteer page
+ */
+
+// Supported screenshot image types
+const SCREENSHOT_FORMATS = ['png', 'webp'];
+
+class PageSnapshot {
+  /**
+   * Capture full-page and above-the-fold (viewport) screenshots
+   * @param {Page} page - Loaded Puppeteer page
+   * @param {string} format - 'png' or 'webp'
+   * @returns {Promise<{format, fullPage: Buffer|null, viewport: Buffer|null}>}
+   */
+  static async captureScreenshots(page, format = 'png') {
+    const type = SCREENSHOT_FORMATS.includes(format) ? format : 'png';
+    const shots = { format: type, fullPage: null, viewport: null };
+
+    for (const [key, fullPage] of [['viewport', false], ['fullPage', true]]) {
+      try {
+        shots[key] = Buffer.from(await page.screenshot({ type, fullPage }));
+      } catch (error) {
+        console.warn(`[PageSnapshot] ${key} screenshot failed:`, error.message);
+      }
+    }
+
+    return shots;
+  }
+
+  /**
+   * Capture the page as MHTML via DevTools Page.captureSnapshot
+   * Keeps shadow DOM and CSSOM-injected styles as rendered by Chrome
+   * @param {Page} page - Loaded Puppeteer page
+   * @returns {Promise<string|null>} MHTML document, or null on failure
+   */
+  static async captureMhtml(page) {
+    let session;
+
+    try {
+      session = await page.target().createCDPSession();
+      const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+      return data;
+    } catch (error) {
+      console.warn('[PageSnapshot] MHTML snapshot failed:', error.message);
+      return null;
+    } finally {
+      if (session) {
+        await session.detach().catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = PageSnapshot;
@@ -0,0 +1,139 @@
+/**
+ * Pre-Capture Script Utility
+ *
+ * Runs a declarative list of browser steps (e.g. a form login) on a
+ * Puppeteer page before the page being captured is loaded
+ *
+ * Steps:
+ *   { action: 'goto', url }
+ *   { action: 'type', selector, text }
+ *   { action: 'click', selector, waitForNavigation }
+ *   { action: 'waitForSelector', selector, timeout }
+ *   { action: 'waitForNavigation', timeout }
+ *   { action: 'assertText', text, selector }
+ */
+
+// Required string fields per action
+const ACTIONS = {
+  goto: ['url'],
+  type: ['selector', 'text'],
+  click: ['selector'],
+  waitForSelector: ['selector'],
+  waitForNavigation: [],
+  assertText: ['text']
+};
+
+// Maximum number of steps per script
+const MAX_STEPS = 50;
+
+class PreCaptureScript {
+  /**
+   * Validate a step list
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validate(steps) {
+    const errors = [];
+
+    if (steps === undefined || steps === null) return errors;
+
+    if (!Array.isArray(steps)) {
+      return ['preCaptureScript must be an array of steps'];
+    }
+
+    if (steps.length > MAX_STEPS) {
+      errors.push(`preCaptureScript can have at most ${MAX_STEPS} steps`);
+    }
+
+    steps.forEach((step, index) => {
+      const label = `preCaptureScript step ${index + 1}`;
+
+      if (!step || !ACTIONS[step.action]) {
+        errors.push(`${label}: action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+        return;
+      }
+
+      ACTIONS[step.action].forEach(field => {
+        if (typeof step[field] !== 'string' || step[field].length === 0) {
+          errors.push(`${label} (${step.action}): ${field} must be a non-empty string`);
+        }
+      });
+
+      if (step.timeout !== undefined && (typeof step.timeout !== 'number' || step.timeout < 0)) {
+        errors.push(`${label} (${step.action}): timeout must be a positive number`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Run steps on a page
+   * Relative goto URLs resolve against options.baseUrl
+   * Throws on the first failing step
+   */
+  static async run(page, steps = [], options = {}) {
+    const timeout = options.timeout || 30000;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const stepTimeout = step.timeout || timeout;
+
+      console.log(`[PreCaptureScript] Step ${i + 1}/${steps.length}: ${step.action}${step.selector ? ` ${step.selector}` : ''}`);
+
+      try {
+        switch (step.action) {
+          case 'goto':
+            await page.goto(new URL(step.url, options.baseUrl).href, {
+              waitUntil: ['domcontentloaded', 'networkidle2'],
+              timeout: stepTimeout
+            });
+            break;
+
+          case 'type':
+            await page.waitForSelector(step.selector, { visible: true, timeout: stepTimeout });
+            await page.type(step.selector, step.text);
+            break;
+
+          case 'click':
+            await page.waitForSelector(step.selector, { visible: true, timeout: stepTimeout });
+            if (step.waitForNavigation) {
+              await Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2', timeout: stepTimeout }),
+                page.click(step.selector)
+              ]);
+            } else {
+              await page.click(step.selector);
+            }
+            break;
+
+          case 'waitForSelector':
+            await page.waitForSelector(step.selector, { timeout: stepTimeout });
+            break;
+
+          case 'waitForNavigation':
+            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: stepTimeout });
+            break;
+
+          case 'assertText': {
+            const found = await page.evaluate((selector, text) => {
+              const scope = selector ? document.querySelector(selector) : document.body;
+              return !!scope && scope.innerText.includes(text);
+            }, step.selector || null, step.text);
+
+            if (!found) {
+              throw new Error(`text "${step.text}" not found${step.selector ? ` in ${step.selector}` : ''}`);
+            }
+            break;
+          }
+
+          default:
+            throw new Error('unknown action');
+        }
+      } catch (error) {
+        throw new Error(`Pre-capture step ${i + 1} (${step.action}) failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = PreCaptureScript;
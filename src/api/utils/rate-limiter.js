@@ -9,8 +9,11 @@ class RateLimiter {
     // Map of domain -> last request timestamp
     this.lastRequestTime = new Map();
 
-    // Minimum delay between requests to same domain (default 1 second)
-    this.minDelay = options.minDelay || 1000;
+    // Minimum delay between requests to same domain (default 1 second, 0 disables)
+    this.minDelay = options.minDelay ?? 1000;
+
+    // Map of domain -> delay that replaces minDelay when longer (e.g. robots.txt Crawl-delay)
+    this.domainDelays = new Map();
 
     // Whether rate limiting is enabled
     this.enabled = options.enabled !== false; // Default: true
@@ -28,23 +31,34 @@ class RateLimiter {
 
     try {
       const domain = new URL(url).hostname;
+      const minDelay = Math.max(this.minDelay, this.domainDelays.get(domain) || 0);
+      if (minDelay <= 0) return;
+
       const now = Date.now();
       const lastRequest = this.lastRequestTime.get(domain) || 0;
-      const timeSinceLastRequest = now - lastRequest;
 
-      if (timeSinceLastRequest < this.minDelay) {
-        const delay = this.minDelay - timeSinceLastRequest;
+      // Reserve the next slot before waiting so concurrent callers queue up
+      const slot = Math.max(now, lastRequest + minDelay);
+      this.lastRequestTime.set(domain, slot);
+
+      if (slot > now) {
+        const delay = slot - now;
         console.log(`[RateLimiter] Waiting ${delay}ms for ${domain}`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
-
-      // Update last request time for this domain
-      this.lastRequestTime.set(domain, Date.now());
     } catch (error) {
       console.warn('[RateLimiter] Invalid URL, skipping rate limit:', url);
     }
   }
 
+  /**
+   * Set a minimum delay for one domain (ms)
+   * Used for robots.txt Crawl-delay; the longer of this and minDelay applies
+   */
+  setDomainDelay(domain, delay) {
+    this.domainDelays.set(domain, delay);
+  }
+
   /**
    * Handle Retry-After header from 429 responses
    * @param {string|number} retryAfterHeader - Value from Retry-After header
@@ -85,6 +99,7 @@ class RateLimiter {
    */
   reset() {
     this.lastRequestTime.clear();
+    this.domainDelays.clear();
     console.log('[RateLimiter] Reset - cleared all domain tracking');
   }
 
@@ -95,6 +110,7 @@ class RateLimiter {
   getStats() {
     return {
       domainsTracked: this.lastRequestTime.size,
+      domainDelays: Object.fromEntries(this.domainDelays),
       enabled: this.enabled,
       minDelay: this.minDelay
     };
@@ -0,0 +1,146 @@
+/**
+ * Request Context Utility
+ *
+ * Applies capture credentials (custom headers, cookies, HTTP basic auth)
+ * consistently to Puppeteer pages and to server-side resource requests
+ */
+
+// Request headers that carry credentials
+const CREDENTIAL_HEADERS = ['cookie', 'authorization', 'proxy-authorization'];
+
+// Value stored in place of a redacted header
+const REDACTED = '[redacted]';
+
+class RequestContext {
+  /**
+   * @param {Object} options - Capture options ({ headers, cookies, auth })
+   * @param {string} pageUrl - URL being captured (scope for custom headers, host-only cookies and basic auth)
+   */
+  constructor(options = {}, pageUrl = null) {
+    this.headers = options.headers || {};
+    this.cookies = options.cookies || [];
+    this.auth = options.auth || null;
+    this.pageUrl = pageUrl;
+  }
+
+  /**
+   * Apply headers, cookies and basic auth to a Puppeteer page
+   * Must be called before the page navigates
+   * Custom headers are added per request to the captured host (cooperative
+   * interception, priority 0), so other request handlers on the page must
+   * resolve with a priority as well. Cookies stay in the page's cookie jar:
+   * a Cookie override would hide cookies the site sets during the capture
+   */
+  async applyToPage(page) {
+    if (Object.keys(this.headers).length > 0) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+
+        request.continue({
+          ...request.continueRequestOverrides(),
+          headers: { ...request.headers(), ...(this.isCapturedHost(request.url()) ? this.headers : {}) }
+        }, 0);
+      });
+    }
+
+    if (this.auth) {
+      await page.authenticate(this.auth);
+    }
+
+    if (this.cookies.length > 0) {
+      // Cookies without a domain are bound to the captured URL
+      await page.setCookie(...this.cookies.map(cookie => (
+        cookie.domain ? cookie : { ...cookie, url: this.pageUrl }
+      )));
+    }
+  }
+
+  /**
+   * Get request headers for a server-side request to url (never for the browser)
+   * Includes custom headers (captured host only) and a Cookie header with matching cookies
+   */
+  headersFor(url) {
+    const headers = this.isCapturedHost(url) ? { ...this.headers } : {};
+    const cookieHeader = this.cookieHeaderFor(url);
+
+    if (cookieHeader) {
+      headers.Cookie = cookieHeader;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get basic auth credentials for url
+   * Credentials are only sent to the captured host, never to third parties
+   */
+  authFor(url) {
+    return this.auth && this.isCapturedHost(url) ? this.auth : undefined;
+  }
+
+  /**
+   * Check whether url is on the captured host (scope for credentials)
+   */
+  isCapturedHost(url) {
+    if (!this.pageUrl) return false;
+
+    try {
+      return new URL(url).host === new URL(this.pageUrl).host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Redact credentials from recorded request headers (WARC output)
+   * Cookie, Authorization and the capture's custom headers are replaced
+   * @param {Object} headers - Request headers as sent
+   * @param {RequestContext|null} context - Capture context naming the custom headers
+   */
+  static redactHeaders(headers = {}, context = null) {
+    const custom = Object.keys(context?.headers || {}).map(name => name.toLowerCase());
+
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+      const lower = name.toLowerCase();
+      return [name, CREDENTIAL_HEADERS.includes(lower) || custom.includes(lower) ? REDACTED : value];
+    }));
+  }
+
+  /**
+   * Build a Cookie header value following domain, path and secure rules
+   */
+  cookieHeaderFor(url) {
+    if (this.cookies.length === 0) return null;
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const matching = this.cookies.filter(cookie => {
+      if (cookie.secure && target.protocol !== 'https:') return false;
+      if (cookie.path && !target.pathname.startsWith(cookie.path)) return false;
+
+      if (!cookie.domain) {
+        try {
+          return this.pageUrl && new URL(this.pageUrl).hostname === target.hostname;
+        } catch {
+          return false;
+        }
+      }
+
+      const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+      const host = target.hostname.toLowerCase();
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+
+    if (matching.length === 0) return null;
+
+    return matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+}
+
+module.exports = RequestContext;
@@ -1,28 +1,53 @@
 /**
  * Resource Downloader Utility
  *
- * Downloads web resources (images, CSS, JS, fonts, PDFs) to local storage
+ * Downloads web resources (images, CSS, JS, fonts, PDFs, media) to local storage
  * No CORS restrictions since running server-side!
  */
 
 const axios = require('axios');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const crypto = require('crypto');
 const RateLimiter = require('./rate-limiter');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const RequestContext = require('./request-context');
+
+// Error code of resources over the caller's size limit
+const TOO_LARGE = 'RESOURCE_TOO_LARGE';
+
+// Streamed resources larger than this are left out of recorded exchanges
+// (WARC records are built in memory)
+const MAX_RECORDED_STREAM_SIZE = 50 * 1024 * 1024;
 
 class ResourceDownloader {
-  constructor(tempDir, baseUrl = null) {
+  constructor(tempDir, baseUrl = null, options = {}) {
     this.tempDir = tempDir;
     this.baseUrl = baseUrl; // Base URL for resolving relative URLs
     this.downloadedResources = new Map(); // URL -> local path
-    this.rateLimiter = new RateLimiter({ minDelay: 1000 }); // 1 second between requests to same domain
+    this.downloads = new Map(); // URL -> Promise of the download result (shared by repeat requests)
+    this.recordExchanges = options.recordExchanges || false; // Keep raw HTTP exchanges (for WARC output)
+    this.requestContext = options.requestContext || null; // Custom headers, cookies and basic auth
+    this.networkRecorder = options.networkRecorder || null; // Bodies already received by the browser
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)';
+    this.exchanges = [];
+    this.rateLimiter = new RateLimiter({ minDelay: options.hostDelay ?? 1000 }); // Delay between requests to same domain
+    this.limiter = new ConcurrencyLimiter({
+      concurrency: options.concurrency || 8, // Downloads running at once
+      perKey: options.perHost || 4 // Downloads running at once per host
+    });
   }
 
   /**
    * Download a resource from URL
+   * With options.maxSize (bytes) the body is streamed to disk and larger
+   * resources fail with error code RESOURCE_TOO_LARGE
+   * @returns {Promise<{url, localPath, filename, size, contentType}>} Same result for repeat requests
    */
-  async downloadResource(url, subfolder = 'resources') {
+  async downloadResource(url, subfolder = 'resources', options = {}) {
     try {
       // Normalize protocol-relative URLs
       if (url.startsWith('//')) {
@@ -45,48 +70,15 @@ class ResourceDownloader {
         throw new Error(`Cannot download relative URL without base URL: ${url}`);
       }
 
-      // Check if already downloaded
-      if (this.downloadedResources.has(url)) {
-        return this.downloadedResources.get(url);
+      // Downloads of the same URL share one result, also while in flight;
+      // failed downloads are forgotten so a later request can retry
+      if (!this.downloads.has(url)) {
+        const download = this.fetchResource(url, subfolder, options);
+        this.downloads.set(url, download);
+        download.catch(() => this.downloads.delete(url));
       }
 
-      console.log(`[ResourceDownloader] Downloading: ${url}`);
-
-      // Apply rate limiting before request
-      await this.rateLimiter.waitForDomain(url);
-
-      // Make request
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)'
-        },
-        maxRedirects: 5
-      });
-
-      // Generate local filename
-      const filename = this.generateFilename(url, response.headers['content-type']);
-      const localPath = path.join(this.tempDir, subfolder, filename);
-
-      // Ensure directory exists
-      await fs.mkdir(path.dirname(localPath), { recursive: true });
-
-      // Write file
-      await fs.writeFile(localPath, response.data);
-
-      // Store mapping
-      this.downloadedResources.set(url, localPath);
-
-      console.log(`[ResourceDownloader] Downloaded to: ${localPath}`);
-
-      return {
-        url,
-        localPath,
-        filename,
-        size: response.data.length,
-        contentType: response.headers['content-type']
-      };
+      return await this.downloads.get(url);
 
     } catch (error) {
       // Handle 429 Too Many Requests with Retry-After header
@@ -98,7 +90,7 @@ class ResourceDownloader {
           await this.rateLimiter.handleRetryAfter(retryAfter);
           // Retry the download once after waiting
           try {
-            return await this.downloadResource(url, subfolder);
+            return await this.downloadResource(url, subfolder, options);
           } catch (retryError) {
             console.warn(`[ResourceDownloader] Retry failed for ${url}:`, retryError.message);
             throw retryError;
@@ -111,37 +103,249 @@ class ResourceDownloader {
     }
   }
 
+  /**
+   * Helper: Download a resolved URL (no cache lookup)
+   * @returns {Promise<{url, localPath, filename, size, contentType}>}
+   */
+  async fetchResource(url, subfolder, options) {
+    // Use the body the browser received while loading the page
+    const recorded = this.networkRecorder ? this.networkRecorder.get(url) : null;
+    if (recorded) {
+      if (options.maxSize && recorded.response.body.length > options.maxSize) {
+        throw this.tooLargeError(url, recorded.response.body.length, options.maxSize);
+      }
+      return await this.saveRecorded(url, recorded, subfolder);
+    }
+
+    console.log(`[ResourceDownloader] Downloading: ${url}`);
+
+    // Apply rate limiting before request
+    await this.rateLimiter.waitForDomain(url);
+
+    if (options.maxSize) {
+      return await this.downloadStream(url, subfolder, options.maxSize);
+    }
+
+    // Make request
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: {
+        'User-Agent': this.userAgent,
+        ...(this.requestContext ? this.requestContext.headersFor(url) : {})
+      },
+      auth: this.requestContext ? this.requestContext.authFor(url) : undefined,
+      maxRedirects: 5
+    });
+
+    // Generate local filename
+    const filename = this.generateFilename(url, response.headers['content-type']);
+    const localPath = path.join(this.tempDir, subfolder, filename);
+
+    // Ensure directory exists
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+
+    // Write file
+    await fs.writeFile(localPath, response.data);
+
+    // Store mapping
+    this.downloadedResources.set(url, localPath);
+
+    if (this.recordExchanges) {
+      this.exchanges.push(this.buildExchange(url, response));
+    }
+
+    console.log(`[ResourceDownloader] Downloaded to: ${localPath}`);
+
+    return {
+      url,
+      localPath,
+      filename,
+      size: response.data.length,
+      contentType: response.headers['content-type']
+    };
+  }
+
+  /**
+   * Stream a large resource (audio, video) to disk, stopping at maxSize bytes
+   */
+  async downloadStream(url, subfolder, maxSize) {
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 30000,
+      headers: {
+        'User-Agent': this.userAgent,
+        ...(this.requestContext ? this.requestContext.headersFor(url) : {})
+      },
+      auth: this.requestContext ? this.requestContext.authFor(url) : undefined,
+      maxRedirects: 5
+    });
+
+    // Reject early when the server announces the size
+    const declaredSize = parseInt(response.headers['content-length'], 10);
+    if (declaredSize > maxSize) {
+      response.data.destroy();
+      throw this.tooLargeError(url, declaredSize, maxSize);
+    }
+
+    const filename = this.generateFilename(url, response.headers['content-type']);
+    const localPath = path.join(this.tempDir, subfolder, filename);
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+
+    let size = 0;
+    const sizeLimit = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        callback(size > maxSize ? this.tooLargeError(url, null, maxSize) : null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(response.data, sizeLimit, createWriteStream(localPath));
+    } catch (error) {
+      await fs.rm(localPath, { force: true });
+      throw error;
+    }
+
+    this.downloadedResources.set(url, localPath);
+
+    if (this.recordExchanges) {
+      if (size <= MAX_RECORDED_STREAM_SIZE) {
+        this.exchanges.push(this.buildExchange(url, { ...response, data: await fs.readFile(localPath) }));
+      } else {
+        console.log(`[ResourceDownloader] Not recording ${url} for WARC output (${size} bytes)`);
+      }
+    }
+
+    console.log(`[ResourceDownloader] Downloaded to: ${localPath} (${size} bytes)`);
+
+    return {
+      url,
+      localPath,
+      filename,
+      size,
+      contentType: response.headers['content-type']
+    };
+  }
+
+  /**
+   * Helper: Build the error for a resource over the size limit
+   * size is null when the server did not announce it
+   */
+  tooLargeError(url, size, maxSize) {
+    const error = new Error(`Resource exceeds the ${Math.round(maxSize / (1024 * 1024))} MB limit: ${url}`);
+    error.code = TOO_LARGE;
+    error.size = size;
+    return error;
+  }
+
+  /**
+   * Store a response recorded from the browser's network layer
+   */
+  async saveRecorded(url, exchange, subfolder) {
+    const { headers, body } = exchange.response;
+    const filename = this.generateFilename(url, headers['content-type']);
+    const localPath = path.join(this.tempDir, subfolder, filename);
+
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+    await fs.writeFile(localPath, body);
+
+    this.downloadedResources.set(url, localPath);
+
+    if (this.recordExchanges) {
+      this.exchanges.push(exchange);
+    }
+
+    console.log(`[ResourceDownloader] Stored from browser: ${localPath}`);
+
+    return {
+      url,
+      localPath,
+      filename,
+      size: body.length,
+      contentType: headers['content-type'],
+      fromNetwork: true
+    };
+  }
+
+  /**
+   * Build a raw HTTP exchange record from an axios response
+   * Uses the final URL and request after redirects; credentials are redacted
+   */
+  buildExchange(url, response) {
+    const request = response.request || {};
+    const requestHeaders = typeof request.getHeaders === 'function'
+      ? request.getHeaders()
+      : { ...response.config?.headers };
+
+    return {
+      url: request.res?.responseUrl || url,
+      method: (request.method || 'GET').toUpperCase(),
+      date: new Date(),
+      request: { headers: RequestContext.redactHeaders(requestHeaders, this.requestContext) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { ...response.headers },
+        body: Buffer.from(response.data)
+      }
+    };
+  }
+
+  /**
+   * Get recorded HTTP exchanges in download order
+   */
+  getExchanges() {
+    return this.exchanges;
+  }
+
   /**
    * Download multiple resources in parallel
+   * Limited by the global and per-host concurrency of this downloader;
+   * results keep the order of urls and carry the requested URL as sourceUrl;
+   * resources over options.maxSize are failed entries with tooLarge: true
    */
-  async downloadResources(urls, subfolder = 'resources', maxConcurrent = 5) {
+  async downloadResources(urls, subfolder = 'resources', options = {}) {
+    const tasks = new Map(); // Requested URL -> download promise (duplicates share one)
+
+    for (const url of urls) {
+      if (!tasks.has(url)) {
+        tasks.set(url, this.limiter.run(this.getHostKey(url), () => this.downloadResource(url, subfolder, options)));
+      }
+    }
+
+    const outcomes = await Promise.allSettled(tasks.values());
     const results = {
       succeeded: [],
       failed: []
     };
 
-    // Process in batches
-    for (let i = 0; i < urls.length; i += maxConcurrent) {
-      const batch = urls.slice(i, i + maxConcurrent);
-
-      const promises = batch.map(url =>
-        this.downloadResource(url, subfolder)
-          .then(result => {
-            results.succeeded.push(result);
-            return { success: true, url, result };
-          })
-          .catch(error => {
-            results.failed.push({ url, error: error.message });
-            return { success: false, url, error };
-          })
-      );
-
-      await Promise.all(promises);
-    }
+    [...tasks.keys()].forEach((url, index) => {
+      const outcome = outcomes[index];
+      if (outcome.status === 'fulfilled') {
+        results.succeeded.push({ ...outcome.value, sourceUrl: url });
+      } else {
+        const { message, code, size } = outcome.reason;
+        results.failed.push(code === TOO_LARGE
+          ? { url, error: message, tooLarge: true, size }
+          : { url, error: message });
+      }
+    });
 
     return results;
   }
 
+  /**
+   * Helper: Get the concurrency key (hostname) for a URL
+   */
+  getHostKey(url) {
+    try {
+      return new URL(url.startsWith('//') ? `https:${url}` : url, this.baseUrl || undefined).hostname;
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Generate a safe filename from URL
    */
@@ -216,7 +420,15 @@ class ResourceDownloader {
       'font/ttf': '.ttf',
       'font/otf': '.otf',
       'application/font-woff': '.woff',
-      'application/font-woff2': '.woff2'
+      'application/font-woff2': '.woff2',
+      'video/mp4': '.mp4',
+      'video/webm': '.webm',
+      'video/ogg': '.ogv',
+      'audio/mpeg': '.mp3',
+      'audio/mp4': '.m4a',
+      'audio/ogg': '.ogg',
+      'audio/wav': '.wav',
+      'text/vtt': '.vtt'
     };
 
     const type = contentType.split(';')[0].trim().toLowerCase();
@@ -258,6 +470,8 @@ class ResourceDownloader {
    */
   clear() {
     this.downloadedResources.clear();
+    this.downloads.clear();
+    this.exchanges = [];
   }
 
   /**
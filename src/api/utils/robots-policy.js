@@ -0,0 +1,243 @@
+/**
+ * Robots Policy Utility
+ *
+ * Fetches and caches robots.txt per host (RFC 9309) and answers whether
+ * a crawl may visit a URL with the configured user agent
+ *   - The most specific matching user-agent group applies, else '*'
+ *   - The longest matching Allow/Disallow rule wins; Allow wins ties
+ *   - '*' and '$' wildcards are supported
+ *   - Crawl-delay is applied to the crawl's per-domain RateLimiter
+ *   - Sitemap lines are kept for sitemap discovery
+ */
+
+const axios = require('axios');
+
+// Upper bound for Crawl-delay so one host cannot stall a crawl (seconds)
+const MAX_CRAWL_DELAY = 30;
+
+// robots.txt files larger than this are truncated (RFC 9309 minimum: 500 KiB)
+const MAX_ROBOTS_SIZE = 500 * 1024;
+
+class RobotsPolicy {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)';
+    this.requestContext = options.requestContext || null; // Custom headers and basic auth
+    this.rateLimiter = options.rateLimiter || null; // Receives Crawl-delay per domain
+    this.hosts = new Map(); // origin -> Promise<group>
+    this.sitemaps = new Map(); // origin -> sitemap URLs listed in robots.txt
+  }
+
+  /**
+   * Check whether a URL may be crawled
+   * @returns {Promise<{allowed: boolean, rule: string|null}>} rule is the matching line, e.g. 'Disallow: /private/'
+   */
+  async check(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return { allowed: true, rule: null };
+    }
+
+    if (!/^https?:$/.test(target.protocol)) {
+      return { allowed: true, rule: null };
+    }
+
+    const group = await this.getGroup(target);
+    const path = target.pathname + target.search;
+    if (path === '/robots.txt') return { allowed: true, rule: null };
+
+    let match = null;
+    for (const rule of group.rules) {
+      if (!rule.pattern.test(path)) continue;
+
+      if (!match ||
+          rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow && !match.allow)) {
+        match = rule;
+      }
+    }
+
+    return {
+      allowed: !match || match.allow,
+      rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null
+    };
+  }
+
+  /**
+   * Get the sitemap URLs a site's robots.txt lists
+   */
+  async getSitemaps(url) {
+    const target = new URL(url);
+    await this.getGroup(target);
+    return this.sitemaps.get(target.origin) || [];
+  }
+
+  /**
+   * Helper: Get the rule group for a URL's host (fetched once per origin)
+   */
+  getGroup(target) {
+    if (!this.hosts.has(target.origin)) {
+      this.hosts.set(target.origin, this.fetchGroup(target));
+    }
+    return this.hosts.get(target.origin);
+  }
+
+  /**
+   * Helper: Fetch robots.txt and select the group for our user agent
+   * 4xx means no restrictions; 5xx or an unreachable host disallows the whole site
+   */
+  async fetchGroup(target) {
+    const robotsUrl = `${target.origin}/robots.txt`;
+    let group;
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        responseType: 'text',
+        timeout: 10000,
+        maxRedirects: 5,
+        maxContentLength: MAX_ROBOTS_SIZE * 4,
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': this.userAgent,
+          ...(this.requestContext ? this.requestContext.headersFor(robotsUrl) : {})
+        },
+        auth: this.requestContext ? this.requestContext.authFor(robotsUrl) : undefined
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        const text = String(response.data).slice(0, MAX_ROBOTS_SIZE);
+        group = RobotsPolicy.selectGroup(RobotsPolicy.parse(text), this.userAgent);
+        this.sitemaps.set(target.origin, RobotsPolicy.findSitemaps(text, robotsUrl));
+      } else if (response.status >= 500) {
+        console.warn(`[RobotsPolicy] ${robotsUrl} returned ${response.status}, treating site as disallowed`);
+        group = RobotsPolicy.disallowAll();
+      } else {
+        group = { rules: [], crawlDelay: null };
+      }
+    } catch (error) {
+      console.warn(`[RobotsPolicy] Failed to fetch ${robotsUrl}, treating site as disallowed:`, error.message);
+      group = RobotsPolicy.disallowAll();
+    }
+
+    if (group.crawlDelay && this.rateLimiter) {
+      const delay = Math.min(group.crawlDelay, MAX_CRAWL_DELAY) * 1000;
+      this.rateLimiter.setDomainDelay(target.hostname, delay);
+      console.log(`[RobotsPolicy] Crawl-delay ${delay}ms for ${target.hostname}`);
+    }
+
+    return group;
+  }
+
+  /**
+   * Parse robots.txt into user-agent groups
+   * @returns {Array<{agents: string[], rules: Array, crawlDelay: number|null}>}
+   */
+  static parse(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r\n|\r|\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if ((field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({
+          allow: field === 'allow',
+          path: value,
+          pattern: RobotsPolicy.compilePattern(value)
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay > 0) current.crawlDelay = delay;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Find Sitemap lines (they apply to the whole file, not to a group)
+   * @returns {string[]} Absolute sitemap URLs
+   */
+  static findSitemaps(text, robotsUrl) {
+    const sitemaps = [];
+
+    for (const match of text.matchAll(/^\s*sitemap\s*:\s*(\S+)/gim)) {
+      try {
+        sitemaps.push(new URL(match[1], robotsUrl).href);
+      } catch {
+        // Invalid URL, skip
+      }
+    }
+
+    return [...new Set(sitemaps)];
+  }
+
+  /**
+   * Select the rules for a user agent
+   * Groups naming a token found in the user agent win over '*'; the
+   * longest token wins among those, and groups with the same token merge
+   */
+  static selectGroup(groups, userAgent) {
+    const agent = userAgent.toLowerCase();
+    let token = null;
+
+    groups.forEach(group => group.agents.forEach(name => {
+      if (name !== '*' && agent.includes(name) && (!token || name.length > token.length)) {
+        token = name;
+      }
+    }));
+
+    const selected = groups.filter(group => group.agents.includes(token || '*'));
+
+    return {
+      rules: selected.flatMap(group => group.rules),
+      crawlDelay: selected.map(group => group.crawlDelay).find(delay => delay !== null) || null
+    };
+  }
+
+  /**
+   * Helper: Compile a robots.txt path pattern ('*' wildcard, '$' end anchor)
+   */
+  static compilePattern(path) {
+    const anchored = path.endsWith('$');
+    const source = (anchored ? path.slice(0, -1) : path)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Helper: Group that disallows every path
+   */
+  static disallowAll() {
+    return {
+      rules: [{ allow: false, path: '/', pattern: /^\// }],
+      crawlDelay: null
+    };
+  }
+}
+
+module.exports = RobotsPolicy;
@@ -0,0 +1,188 @@
+/**
+ * Sitemap Discovery Utility
+ *
+ * Finds page URLs from a site's sitemaps, for sites whose deep pages are
+ * only reachable through JS navigation:
+ *   - /sitemap.xml and Sitemap: lines of robots.txt (or explicit sitemap URLs)
+ *   - Nested sitemap indexes
+ *   - Gzipped sitemaps (.xml.gz or gzip bodies) and plain-text URL lists
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const RobotsPolicy = require('./robots-policy');
+
+// Limits from the sitemaps protocol (50,000 URLs, 50 MB uncompressed per file)
+const MAX_URLS = 50000;
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
+
+// Limits for sitemap index traversal
+const MAX_SITEMAPS = 50;
+const MAX_INDEX_DEPTH = 3;
+
+class SitemapDiscovery {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; ContentLabWebCapture/1.0)';
+    this.requestContext = options.requestContext || null; // Custom headers and basic auth
+    this.robots = options.robots || new RobotsPolicy({
+      userAgent: this.userAgent,
+      requestContext: this.requestContext
+    });
+  }
+
+  /**
+   * Discover page URLs for a site
+   * @param {string} startUrl - Any URL of the site
+   * @param {Object} options - { urls, modifiedSince, pathPrefixes, sameHostOnly, maxUrls }
+   * @returns {Promise<{pages: Array<{url, lastmod}>, sitemaps: string[]}>} sitemaps lists the files read
+   */
+  async discover(startUrl, options = {}) {
+    const start = new URL(startUrl);
+    const maxUrls = Math.min(options.maxUrls || MAX_URLS, MAX_URLS);
+    const since = options.modifiedSince ? new Date(options.modifiedSince) : null;
+    const pathPrefixes = options.pathPrefixes || [];
+
+    const roots = options.urls?.length > 0
+      ? options.urls
+      : [`${start.origin}/sitemap.xml`, ...await this.robots.getSitemaps(startUrl)];
+
+    const queue = [...new Set(roots)].map(url => ({ url, depth: 0 }));
+    const read = new Set();
+    const pages = new Map(); // URL -> { url, lastmod }
+
+    while (queue.length > 0 && read.size < MAX_SITEMAPS && pages.size < maxUrls) {
+      const { url, depth } = queue.shift();
+      if (read.has(url)) continue;
+      read.add(url);
+
+      let entries;
+      try {
+        entries = await this.fetchSitemap(url);
+      } catch (error) {
+        console.warn(`[SitemapDiscovery] Failed to read ${url}:`, error.message);
+        continue;
+      }
+
+      // Nested indexes are followed breadth-first
+      entries.sitemaps.forEach(child => {
+        if (depth < MAX_INDEX_DEPTH) queue.push({ url: child, depth: depth + 1 });
+      });
+
+      for (const entry of entries.pages) {
+        if (pages.size >= maxUrls) break;
+        if (this.accepts(entry, start, { since, pathPrefixes, sameHostOnly: options.sameHostOnly !== false })) {
+          pages.set(entry.url, entry);
+        }
+      }
+    }
+
+    console.log(`[SitemapDiscovery] Found ${pages.size} pages in ${read.size} sitemap(s) for ${start.origin}`);
+
+    return {
+      pages: [...pages.values()],
+      sitemaps: [...read]
+    };
+  }
+
+  /**
+   * Helper: Check a sitemap entry against the discovery filters
+   * Entries without lastmod pass a modifiedSince filter (their age is unknown)
+   */
+  accepts(entry, start, { since, pathPrefixes, sameHostOnly }) {
+    let target;
+    try {
+      target = new URL(entry.url);
+    } catch {
+      return false;
+    }
+
+    if (!/^https?:$/.test(target.protocol)) return false;
+    if (sameHostOnly && target.hostname !== start.hostname) return false;
+
+    if (pathPrefixes.length > 0 && !pathPrefixes.some(prefix => target.pathname.startsWith(prefix))) {
+      return false;
+    }
+
+    if (since && entry.lastmod) {
+      const lastmod = new Date(entry.lastmod);
+      if (!isNaN(lastmod) && lastmod < since) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Fetch and parse one sitemap file
+   * @returns {Promise<{pages: Array<{url, lastmod}>, sitemaps: string[]}>}
+   */
+  async fetchSitemap(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxRedirects: 5,
+      maxContentLength: MAX_SITEMAP_SIZE,
+      headers: {
+        'User-Agent': this.userAgent,
+        ...(this.requestContext ? this.requestContext.headersFor(url) : {})
+      },
+      auth: this.requestContext ? this.requestContext.authFor(url) : undefined
+    });
+
+    let body = Buffer.from(response.data);
+
+    // Gzip magic bytes (servers rarely send .xml.gz with Content-Encoding)
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_SIZE });
+    }
+
+    return this.parse(body.toString('utf8'), url);
+  }
+
+  /**
+   * Parse a sitemap (<urlset>), sitemap index (<sitemapindex>) or plain-text URL list
+   */
+  async parse(text, sitemapUrl) {
+    const content = text.replace(/^\uFEFF/, '').trim();
+
+    if (!content.startsWith('<')) {
+      return {
+        pages: content.split(/\s+/).filter(line => /^https?:\/\//i.test(line)).map(url => ({ url, lastmod: null })),
+        sitemaps: []
+      };
+    }
+
+    const xml = await xml2js.parseStringPromise(content, {
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+
+    const resolve = loc => {
+      if (!loc) return null;
+      try {
+        return new URL(String(loc).trim(), sitemapUrl).href;
+      } catch {
+        return null;
+      }
+    };
+
+    return {
+      pages: this.asArray(xml?.urlset?.url)
+        .map(node => ({ url: resolve(node.loc), lastmod: node.lastmod ? String(node.lastmod).trim() : null }))
+        .filter(entry => entry.url),
+      sitemaps: this.asArray(xml?.sitemapindex?.sitemap)
+        .map(node => resolve(node.loc))
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Helper: Normalize xml2js single/multiple nodes to an array
+   */
+  asArray(node) {
+    if (node === undefined || node === null) return [];
+    return Array.isArray(node) ? node : [node];
+  }
+}
+
+module.exports = SitemapDiscovery;
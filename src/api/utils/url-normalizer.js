@@ -0,0 +1,156 @@
+/**
+ * URL Normalizer Utility
+ *
+ * Canonical URL forms for crawling (multiPage.normalization):
+ *   - normalize(url): the URL that is fetched - fragment removed and tracking
+ *     parameters stripped from the query text; the remaining parameters keep
+ *     their order and encoding (host case, default ports and dot segments
+ *     are normalized by the URL parser)
+ *   - key(url): the identity of a page - also sorts and re-encodes query
+ *     parameters, drops index files (index.html, default.aspx, ...), ignores
+ *     trailing slashes and can ignore path case, so aliases of one page share a key
+ */
+
+// Query parameters that only track the visitor
+const TRACKING_PARAMS = [
+  /^utm_/i, /^gclid$/i, /^dclid$/i, /^fbclid$/i, /^msclkid$/i, /^yclid$/i,
+  /^mc_cid$/i, /^mc_eid$/i, /^_ga$/i, /^_gl$/i, /^_hsenc$/i, /^_hsmi$/i, /^igshid$/i
+];
+
+// Directory index documents that alias their folder
+const INDEX_FILES = /\/(index|default)\.(html?|php|aspx?|jsp|shtml)$/i;
+
+// Allowed trailingSlash values
+const TRAILING_SLASH_MODES = ['ignore', 'keep'];
+
+class UrlNormalizer {
+  constructor(options = {}) {
+    const rules = UrlNormalizer.normalizeOptions(options);
+
+    this.stripTrackingParams = rules.stripTrackingParams;
+    this.sortQueryParams = rules.sortQueryParams;
+    this.removeIndexFiles = rules.removeIndexFiles;
+    this.trailingSlash = rules.trailingSlash;
+    this.lowercasePath = rules.lowercasePath;
+  }
+
+  /**
+   * Normalize rule options (defaults for missing fields)
+   */
+  static normalizeOptions(options = {}) {
+    return {
+      stripTrackingParams: options?.stripTrackingParams !== false, // Default: true
+      sortQueryParams: options?.sortQueryParams !== false, // Default: true
+      removeIndexFiles: options?.removeIndexFiles !== false, // Default: true
+      trailingSlash: TRAILING_SLASH_MODES.includes(options?.trailingSlash) ? options.trailingSlash : 'ignore',
+      lowercasePath: options?.lowercasePath || false // Default: false
+    };
+  }
+
+  /**
+   * Validate rule options
+   * @returns {string[]} Error messages
+   */
+  static validate(options) {
+    const errors = [];
+    if (options === undefined || options === null) return errors;
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      return ['multiPage.normalization must be an object'];
+    }
+
+    ['stripTrackingParams', 'sortQueryParams', 'removeIndexFiles', 'lowercasePath'].forEach(flag => {
+      if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+        errors.push(`multiPage.normalization.${flag} must be a boolean`);
+      }
+    });
+
+    if (options.trailingSlash !== undefined && !TRAILING_SLASH_MODES.includes(options.trailingSlash)) {
+      errors.push(`multiPage.normalization.trailingSlash must be one of: ${TRAILING_SLASH_MODES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the URL to fetch
+   * @returns {string|null} null for invalid or non-http(s) URLs
+   */
+  normalize(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (!/^https?:$/.test(target.protocol)) return null;
+
+    target.hash = '';
+
+    if (this.stripTrackingParams) {
+      target.search = UrlNormalizer.removeParams(
+        target.search,
+        name => TRACKING_PARAMS.some(pattern => pattern.test(name))
+      );
+    }
+
+    return target.href;
+  }
+
+  /**
+   * Remove query parameters by name from a query string ('?a=1&b=2')
+   * Edits the text itself: URLSearchParams would re-encode the parameters kept
+   * @param {Function} shouldRemove - Called with each decoded parameter name
+   * @returns {string} Query string ('' when nothing is left)
+   */
+  static removeParams(search, shouldRemove) {
+    if (!search) return '';
+
+    const kept = search.slice(1).split('&').filter(pair => {
+      const name = pair.split('=')[0];
+      let decoded;
+      try {
+        decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+      } catch {
+        decoded = name;
+      }
+      return !shouldRemove(decoded);
+    });
+
+    return kept.length > 0 ? `?${kept.join('&')}` : '';
+  }
+
+  /**
+   * Get the identity of the page behind a URL (aliases share a key)
+   * @returns {string|null} null for invalid or non-http(s) URLs
+   */
+  key(url) {
+    const normalized = this.normalize(url);
+    if (!normalized) return null;
+
+    const target = new URL(normalized);
+    let pathname = target.pathname;
+
+    if (this.sortQueryParams) {
+      target.searchParams.sort();
+      if (target.search === '?') target.search = '';
+    }
+
+    if (this.removeIndexFiles) {
+      pathname = pathname.replace(INDEX_FILES, '/');
+    }
+
+    if (this.trailingSlash === 'ignore' && pathname.length > 1) {
+      pathname = pathname.replace(/\/+$/, '');
+    }
+
+    if (this.lowercasePath) {
+      pathname = pathname.toLowerCase();
+    }
+
+    return `${target.origin}${pathname}${target.search}`;
+  }
+}
+
+module.exports = UrlNormalizer;